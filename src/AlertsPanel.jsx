@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { ALERT_TYPES } from "./alerts";
+import { formatUpdated } from "./format";
+import { useTheme } from "./theme";
+
+const inputStyle = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.body, padding: "5px 8px", fontSize: 12,
+});
+
+const smallButton = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.subtle, padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer",
+});
+
+const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window;
+
+// Settings panel for the alert rules, with the history of alerts raised.
+// Rule edits are kept as a draft until "Save" is pressed. `series` names
+// what the rules are checked against.
+export default function AlertsPanel({ settings, history, series, onApply, onClearHistory }) {
+  const theme = useTheme();
+  const [draft, setDraft] = useState(settings);
+  const [permission, setPermission] = useState(notificationsSupported() ? window.Notification.permission : "unsupported");
+  const shown = history.filter((a) => !a.cleared);
+
+  const updateRule = (id, changes) =>
+    setDraft({ ...draft, rules: draft.rules.map((r) => (r.id === id ? { ...r, ...changes } : r)) });
+  const removeRule = (id) => setDraft({ ...draft, rules: draft.rules.filter((r) => r.id !== id) });
+  const addRule = () =>
+    setDraft({ ...draft, rules: [...draft.rules, { id: `rule-${Date.now()}`, type: "drawdown", value: 10, enabled: true }] });
+
+  // Browsers only show notifications once the user allows them
+  const toggleNotify = async (notify) => {
+    setDraft({ ...draft, notify });
+    if (notify && permission === "default") setPermission(await window.Notification.requestPermission());
+  };
+
+  const canSave = draft.rules.every((r) => Number(r.value) > 0);
+  const save = () => onApply({ ...draft, rules: draft.rules.map((r) => ({ ...r, value: Number(r.value) })) });
+
+  return (
+    <div style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px", marginBottom: 16 }}>
+      <div style={{ fontSize: 11, color: theme.label, marginBottom: 8, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Alerts
+      </div>
+      <div style={{ fontSize: 11, color: theme.faint, marginBottom: 8 }}>
+        Checked against {series}, whichever account is on screen
+      </div>
+      {draft.rules.map((rule) => (
+        <div key={rule.id} style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+          <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} />
+          <select value={rule.type} onChange={(e) => updateRule(rule.id, { type: e.target.value })} style={inputStyle(theme)}>
+            {ALERT_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+          </select>
+          <input type="number" min="0" step="any" value={rule.value} onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+            style={{ ...inputStyle(theme), width: 70 }} />
+          <span style={{ fontSize: 11, color: theme.faint }}>{ALERT_TYPES.find((t) => t.id === rule.type)?.unit}</span>
+          <button onClick={() => removeRule(rule.id)} style={{ ...smallButton(theme), color: theme.loss, marginLeft: "auto" }}>Remove</button>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+        <button onClick={addRule} style={smallButton(theme)}>+ Add rule</button>
+        <label style={{ fontSize: 11, color: theme.muted, display: "flex", alignItems: "center", gap: 4, opacity: permission === "unsupported" ? 0.4 : 1 }}>
+          <input type="checkbox" checked={draft.notify} disabled={permission === "unsupported"} onChange={(e) => toggleNotify(e.target.checked)} />
+          Browser notifications
+        </label>
+        {draft.notify && permission === "denied" && (
+          <span style={{ fontSize: 11, color: theme.orange }}>Blocked by the browser; only banners will show</span>
+        )}
+        <button onClick={() => canSave && save()} disabled={!canSave}
+          style={{
+            background: theme.orange + "20", border: `1px solid ${theme.orange}`, borderRadius: 6,
+            color: theme.orange, padding: "5px 13px", fontSize: 12, fontWeight: 600,
+            cursor: canSave ? "pointer" : "default", opacity: canSave ? 1 : 0.4, marginLeft: "auto"
+          }}>Save</button>
+      </div>
+
+      {/* HISTORY */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 14, marginBottom: 6 }}>
+        <span style={{ fontSize: 10, color: theme.label, textTransform: "uppercase", letterSpacing: "0.5px" }}>History</span>
+        {shown.length > 0 && <button onClick={onClearHistory} style={smallButton(theme)}>Clear</button>}
+      </div>
+      {shown.length ? (
+        <div style={{ maxHeight: 160, overflowY: "auto", borderRadius: 6, border: `1px solid ${theme.divider}` }}>
+          {shown.map((a, i) => (
+            <div key={a.key} style={{ display: "flex", justifyContent: "space-between", gap: 12, padding: "5px 10px", fontSize: 11, background: i % 2 === 0 ? theme.page : theme.panel }}>
+              <span style={{ color: theme.body }}>{a.message}</span>
+              <span style={{ color: theme.faint, whiteSpace: "nowrap" }}>{formatUpdated(a.raisedAt)}</span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ fontSize: 11, color: theme.label }}>No alerts yet</div>
+      )}
+    </div>
+  );
+}
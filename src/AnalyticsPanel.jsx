@@ -0,0 +1,113 @@
+import { useState, useMemo } from "react";
+import { computeAnalytics } from "./analytics";
+import { fmtPct, formatDateLong, formatDateSpan } from "./format";
+import { MONTHS } from "./constants";
+import { useTheme } from "./theme";
+
+const RISK_FREE_KEY = "portfolioTracker.riskFreeRate";
+
+function loadRiskFreeRate() {
+  try {
+    const saved = parseFloat(localStorage.getItem(RISK_FREE_KEY));
+    if (!isNaN(saved)) return saved;
+  } catch (e) {
+    // Storage unavailable: use the default rate
+  }
+  return 4;
+}
+
+const pctColor = (theme, ratio) => (ratio >= 0 ? theme.gain : theme.loss);
+
+const monthLabel = (key) => MONTHS[parseInt(key.slice(5)) - 1] + " " + key.slice(0, 4);
+
+function Stat({ label, value, color, sub }) {
+  const theme = useTheme();
+  return (
+    <div style={{ background: theme.page, border: `1px solid ${theme.control}`, borderRadius: 8, padding: "8px 12px" }}>
+      <div style={{ fontSize: 10, color: theme.faint, textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: 4 }}>{label}</div>
+      <div style={{ fontSize: 14, color: color ?? theme.text, fontWeight: 600 }}>{value}</div>
+      {sub && <div style={{ fontSize: 10, color: theme.label, marginTop: 2 }}>{sub}</div>}
+    </div>
+  );
+}
+
+// Best or worst period, with the period it happened in underneath
+function Extreme({ label, item, describe }) {
+  const theme = useTheme();
+  return (
+    <Stat label={label}
+      value={item ? fmtPct(item.ret) : "—"}
+      color={item ? pctColor(theme, item.ret) : theme.faint}
+      sub={item && describe(item.key)} />
+  );
+}
+
+// Risk and performance statistics of the selected series
+export default function AnalyticsPanel({ entries }) {
+  const theme = useTheme();
+  const [riskFree, setRiskFree] = useState(loadRiskFreeRate); // percent per year
+
+  const a = useMemo(
+    () => computeAnalytics(entries, { riskFreeRate: riskFree / 100 }),
+    [entries, riskFree]
+  );
+
+  const updateRiskFree = (value) => {
+    const rate = parseFloat(value);
+    if (isNaN(rate)) return;
+    setRiskFree(rate);
+    try {
+      localStorage.setItem(RISK_FREE_KEY, String(rate));
+    } catch (e) {
+      // Storage unavailable: the rate still applies for this session
+    }
+  };
+
+  const ratio = (r) => (r === null ? "—" : r.toFixed(2));
+  const streak = (s) => (s ? `${s.length} entries` : "—");
+  const streakSpan = (s) => s && formatDateSpan(s.start, s.end);
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: theme.label, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+          Analytics
+        </div>
+        <label style={{ fontSize: 11, color: theme.faint, display: "flex", alignItems: "center", gap: 6 }}>
+          Risk-free rate
+          <input type="number" step="0.1" defaultValue={riskFree}
+            onChange={(e) => updateRiskFree(e.target.value)}
+            style={{
+              width: 56, background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+              color: theme.body, padding: "3px 6px", fontSize: 11
+            }} />
+          %
+        </label>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 8 }}>
+        <Stat label="Max drawdown"
+          value={fmtPct(a.maxDrawdown.drawdown)}
+          color={a.maxDrawdown.drawdown < 0 ? theme.loss : theme.text}
+          sub={a.maxDrawdown.peakDate && formatDateSpan(a.maxDrawdown.peakDate, a.maxDrawdown.troughDate, "→")} />
+        <Stat label="From all-time high"
+          value={fmtPct(a.currentDrawdown.drawdown)}
+          color={a.currentDrawdown.drawdown < 0 ? theme.loss : theme.gain}
+          sub={a.currentDrawdown.athDate && `ATH ${formatDateLong(a.currentDrawdown.athDate)}`} />
+        <Stat label="Volatility (ann.)" value={(a.volatility * 100).toFixed(2) + "%"} />
+        <Stat label="Sharpe" value={ratio(a.sharpe)} />
+        <Stat label="Sortino" value={ratio(a.sortino)} />
+        <Stat label="CAGR"
+          value={a.cagr === null ? "—" : fmtPct(a.cagr)}
+          color={a.cagr === null ? theme.faint : pctColor(theme, a.cagr)} />
+        <Extreme label="Best entry" item={a.entry.best} describe={formatDateLong} />
+        <Extreme label="Worst entry" item={a.entry.worst} describe={formatDateLong} />
+        <Extreme label="Best week" item={a.week.best} describe={(k) => "Week of " + formatDateLong(k)} />
+        <Extreme label="Worst week" item={a.week.worst} describe={(k) => "Week of " + formatDateLong(k)} />
+        <Extreme label="Best month" item={a.month.best} describe={monthLabel} />
+        <Extreme label="Worst month" item={a.month.worst} describe={monthLabel} />
+        <Stat label="Longest winning streak" value={streak(a.streaks.winning)} color={theme.gain} sub={streakSpan(a.streaks.winning)} />
+        <Stat label="Longest losing streak" value={streak(a.streaks.losing)} color={theme.loss} sub={streakSpan(a.streaks.losing)} />
+      </div>
+    </div>
+  );
+}
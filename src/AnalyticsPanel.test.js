@@ -0,0 +1,37 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import AnalyticsPanel from "./AnalyticsPanel";
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const ENTRIES = [
+  { date: "2026-01-01", balance: 100, flow: 0 },
+  { date: "2026-01-08", balance: 110, flow: 0 },
+  { date: "2026-01-15", balance: 99, flow: 0 },
+];
+
+async function render() {
+  const container = document.createElement("div");
+  const root = createRoot(container);
+  await act(async () => root.render(<AnalyticsPanel entries={ENTRIES} />));
+  return { container, unmount: () => act(() => root.unmount()) };
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+test("labels per-entry extremes as entries, not days", async () => {
+  const { container, unmount } = await render();
+  expect(container.textContent).toContain("Best entry+10.00%");
+  expect(container.textContent).toContain("Worst entry-10.00%");
+  expect(container.textContent).not.toContain("Best day");
+  unmount();
+});
+
+test("renders with the default rate when storage is blocked", async () => {
+  jest.spyOn(Storage.prototype, "getItem").mockImplementation(() => {
+    throw new Error("SecurityError");
+  });
+  const { container, unmount } = await render();
+  expect(container.querySelector('input[type="number"]').value).toBe("4");
+  unmount();
+});
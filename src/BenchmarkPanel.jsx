@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { DEFAULT_BENCHMARK, BUNDLED_INDEX_NAME } from "./benchmark";
+import { useTheme } from "./theme";
+
+const inputStyle = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.body, padding: "5px 8px", fontSize: 12,
+});
+
+const BENCHMARK_TYPES = [
+  { id: "none", label: "None" },
+  { id: "bundled", label: `${BUNDLED_INDEX_NAME} (bundled)` },
+  { id: "savings", label: "Savings rate" },
+  { id: "csv", label: "CSV URL" },
+  { id: "file", label: "CSV file" },
+];
+
+// Picks the benchmark plotted against the balance in the Overall view.
+// Edits are kept as a draft until "Apply" is pressed.
+export default function BenchmarkPanel({ benchmark, error, onApply }) {
+  const theme = useTheme();
+  const [draft, setDraft] = useState({ rate: 4, ...benchmark });
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setDraft({ ...draft, text: await file.text(), name: draft.name || file.name.replace(/\.\w+$/, "") });
+  };
+
+  const rate = parseFloat(draft.rate);
+  const canApply =
+    draft.type === "none" ||
+    draft.type === "bundled" ||
+    (draft.type === "savings" && !isNaN(rate)) ||
+    (draft.type === "csv" && !!draft.url?.trim()) ||
+    (draft.type === "file" && !!draft.text);
+
+  const apply = () => {
+    if (draft.type === "none") return onApply(DEFAULT_BENCHMARK);
+    if (draft.type === "bundled") return onApply({ type: "bundled" });
+    if (draft.type === "savings") return onApply({ type: "savings", rate });
+    const { type, url, text, name } = draft;
+    onApply(type === "csv" ? { type, url: url.trim(), name } : { type, text, name });
+  };
+
+  return (
+    <div style={{ marginTop: 12, background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px" }}>
+      <div style={{ fontSize: 11, color: theme.label, marginBottom: 8, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Benchmark
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+        <select value={draft.type} onChange={set("type")} style={inputStyle(theme)}>
+          {BENCHMARK_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+        </select>
+        {draft.type === "savings" && (
+          <>
+            <input type="number" step="0.1" value={draft.rate} onChange={set("rate")} style={{ ...inputStyle(theme), width: 70 }} />
+            <span style={{ fontSize: 11, color: theme.faint }}>% per year</span>
+          </>
+        )}
+        {(draft.type === "csv" || draft.type === "file") && (
+          <input value={draft.name || ""} onChange={set("name")} placeholder="Name, e.g. S&P 500" style={{ ...inputStyle(theme), width: 130 }} />
+        )}
+        {draft.type === "csv" && (
+          <input type="url" value={draft.url || ""} onChange={set("url")} placeholder="https://example.com/spx.csv"
+            style={{ ...inputStyle(theme), flex: 1, minWidth: 160 }} />
+        )}
+        {draft.type === "file" && (
+          <input type="file" accept=".csv,text/csv" onChange={pickFile} style={{ fontSize: 12, color: theme.muted }} />
+        )}
+        <button onClick={() => canApply && apply()} disabled={!canApply}
+          style={{
+            background: theme.teal + "20", border: `1px solid ${theme.teal}`, borderRadius: 6,
+            color: theme.teal, padding: "5px 13px", fontSize: 12, fontWeight: 600,
+            cursor: canApply ? "pointer" : "default", opacity: canApply ? 1 : 0.4, marginLeft: "auto"
+          }}>Apply</button>
+      </div>
+      {draft.type === "bundled" && (
+        <div style={{ fontSize: 10, color: theme.label, marginTop: 6 }}>
+          Approximate month-end closes from Dec 2022 to Aug 2025, without dividends. Entries after Aug 29, 2025 aren't compared.
+        </div>
+      )}
+      {(draft.type === "csv" || draft.type === "file") && (
+        <div style={{ fontSize: 10, color: theme.label, marginTop: 6 }}>
+          Rows of date and closing price, e.g. an index history exported from your broker.
+        </div>
+      )}
+      {error && <div style={{ fontSize: 11, color: theme.loss, marginTop: 6 }}>Couldn't load the benchmark: {error}</div>}
+    </div>
+  );
+}
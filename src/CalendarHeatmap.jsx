@@ -0,0 +1,190 @@
+import { useState, useMemo } from "react";
+import { periodReturns, bucketReturns, weekKey } from "./analytics";
+import { addDays } from "./forecast";
+import { fmtPct, formatDateLong } from "./format";
+import { fmtMoney } from "./currency";
+import { MONTHS } from "./constants";
+import { useTheme, withAlpha, trendMark } from "./theme";
+
+const CELL = 11, GAP = 2;
+const WEEKDAYS = ["Mon", "", "Wed", "", "Fri", "", ""];
+
+// Gain/loss colors of the theme, stronger for bigger moves
+function cellColor(theme, ret) {
+  if (ret === undefined) return theme.empty;
+  if (ret === 0) return theme.border;
+  const level = Math.min(1, 0.25 + Math.abs(ret) / 0.04);
+  return withAlpha(ret > 0 ? theme.gain : theme.loss, level);
+}
+
+// Buttons that look like the text around them
+const plainButton = {
+  background: "none", border: "none", padding: 0, font: "inherit", color: "inherit", cursor: "pointer",
+};
+
+// Week columns of a year, each holding 7 dates from Monday (or null outside the year)
+export function yearWeeks(year) {
+  const weeks = [];
+  for (let monday = weekKey(year + "-01-01"); monday <= year + "-12-31"; monday = addDays(monday, 7)) {
+    weeks.push(
+      Array.from({ length: 7 }, (_, d) => {
+        const date = addDays(monday, d);
+        return date.startsWith(String(year)) ? date : null;
+      })
+    );
+  }
+  return weeks;
+}
+
+// GitHub-style calendar of each entry's change, plus a month-by-year table
+// of returns measured from each month's ghost baseline. `hideAmounts`
+// leaves only the returns in the hover line.
+export default function CalendarHeatmap({ entries, currency, onSelectMonth, hideAmounts = false }) {
+  const theme = useTheme();
+  const [hovered, setHovered] = useState(null);
+
+  const days = useMemo(() => {
+    const byDate = new Map();
+    const rets = new Map(periodReturns(entries).map((r) => [r.date, r.ret]));
+    entries.forEach((e, i) => {
+      byDate.set(e.date, {
+        date: e.date,
+        balance: e.balance,
+        change: i > 0 ? e.balance - entries[i - 1].balance - (e.flow || 0) : null,
+        // The first entry has nothing to change from and shows as flat
+        ret: rets.get(e.date) ?? 0,
+      });
+    });
+    return byDate;
+  }, [entries]);
+
+  const years = useMemo(
+    () => [...new Set(entries.map((e) => Number(e.date.slice(0, 4))))],
+    [entries]
+  );
+
+  const monthReturns = useMemo(
+    () => new Map(bucketReturns(entries, (date) => date.slice(0, 7)).map((b) => [b.key, b.ret])),
+    [entries]
+  );
+  const yearReturns = useMemo(
+    () => new Map(bucketReturns(entries, (date) => date.slice(0, 4)).map((b) => [b.key, b.ret])),
+    [entries]
+  );
+
+  const labelStyle = { fontSize: 9, color: theme.faint, height: CELL, lineHeight: CELL + "px" };
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <div style={{ fontSize: 11, color: theme.label, marginBottom: 8, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Daily Returns
+      </div>
+      <div style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px", overflowX: "auto" }}>
+        {years.map((year) => {
+          const weeks = yearWeeks(year);
+          return (
+            <div key={year} style={{ display: "flex", gap: 6, marginBottom: 10 }}>
+              <div style={{ display: "flex", flexDirection: "column", gap: GAP, paddingTop: CELL + GAP, width: 34 }}>
+                {WEEKDAYS.map((d, i) => <div key={i} style={labelStyle}>{i === 6 ? year : d}</div>)}
+              </div>
+              <div>
+                {/* Month labels sit over the week holding the 1st */}
+                <div style={{ display: "flex", gap: GAP, marginBottom: GAP }}>
+                  {weeks.map((week, wi) => {
+                    const first = week.find((date) => date && date.endsWith("-01"));
+                    const key = first?.slice(0, 7);
+                    const has = key && monthReturns.has(key);
+                    return (
+                      <div key={wi} style={{ ...labelStyle, width: CELL, overflow: "visible", whiteSpace: "nowrap", color: has ? theme.muted : theme.ghost }}>
+                        {has ? (
+                          <button onClick={() => onSelectMonth(key)} style={plainButton}>{MONTHS[parseInt(first.slice(5, 7)) - 1]}</button>
+                        ) : first ? MONTHS[parseInt(first.slice(5, 7)) - 1] : ""}
+                      </div>
+                    );
+                  })}
+                </div>
+                {/* Left to the table below for screen readers */}
+                <div aria-hidden="true" style={{ display: "flex", gap: GAP }}>
+                  {weeks.map((week, wi) => (
+                    <div key={wi} style={{ display: "flex", flexDirection: "column", gap: GAP }}>
+                      {week.map((date, di) => {
+                        const day = date && days.get(date);
+                        return (
+                          <div key={di}
+                            onMouseEnter={() => setHovered(day || null)}
+                            onMouseLeave={() => setHovered(null)}
+                            onClick={() => day && onSelectMonth(date.slice(0, 7))}
+                            style={{
+                              width: CELL, height: CELL, borderRadius: 2,
+                              background: date ? cellColor(theme, day?.ret) : "transparent",
+                              outline: hovered && hovered.date === date ? `1px solid ${theme.body}` : "none",
+                              cursor: day ? "pointer" : "default",
+                            }} />
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+        <div style={{ fontSize: 11, color: theme.faint, minHeight: 16 }}>
+          {hovered ? (
+            <>
+              <span style={{ fontFamily: "'Courier New',monospace" }}>{formatDateLong(hovered.date)}</span>
+              {!hideAmounts && <>{" · "}<span style={{ color: theme.text }}>{fmtMoney(hovered.balance, currency)}</span></>}
+              {hovered.change !== null && (
+                <span style={{ color: hovered.change >= 0 ? theme.gain : theme.loss }}>
+                  {" · "}{trendMark(hovered.change)}{hideAmounts ? fmtPct(hovered.ret) : `${fmtMoney(hovered.change, currency, { signed: true })} (${fmtPct(hovered.ret)})`}
+                </span>
+              )}
+            </>
+          ) : (
+            "Hover a day for details · click to open its month"
+          )}
+        </div>
+      </div>
+
+      {/* MONTH-BY-YEAR RETURNS */}
+      <div style={{ overflowX: "auto", marginTop: 10, borderRadius: 8, border: `1px solid ${theme.divider}` }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+          <thead>
+            <tr style={{ background: theme.panel }}>
+              <th style={{ padding: "6px 8px", color: theme.label, textAlign: "left" }}>Year</th>
+              {MONTHS.map((m) => <th key={m} style={{ padding: "6px 4px", color: theme.label, fontWeight: 600 }}>{m}</th>)}
+              <th style={{ padding: "6px 8px", color: theme.label }}>Year</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map((year, yi) => (
+              <tr key={year} style={{ background: yi % 2 === 0 ? theme.page : theme.panel }}>
+                <td style={{ padding: "6px 8px", color: theme.muted, fontWeight: 600 }}>{year}</td>
+                {MONTHS.map((m, mi) => {
+                  const key = year + "-" + String(mi + 1).padStart(2, "0");
+                  const ret = monthReturns.get(key);
+                  return (
+                    <td key={m}
+                      style={{
+                        padding: "6px 4px", textAlign: "center",
+                        color: ret === undefined ? theme.ghost : ret >= 0 ? theme.gain : theme.loss,
+                      }}>
+                      {ret === undefined ? "—" : (
+                        <button onClick={() => onSelectMonth(key)} aria-label={`${m} ${year}: ${fmtPct(ret, 1)}, open this month`} style={plainButton}>
+                          {fmtPct(ret, 1)}
+                        </button>
+                      )}
+                    </td>
+                  );
+                })}
+                <td style={{ padding: "6px 8px", textAlign: "center", fontWeight: 600, color: (yearReturns.get(String(year)) ?? 0) >= 0 ? theme.gain : theme.loss }}>
+                  {yearReturns.has(String(year)) ? fmtPct(yearReturns.get(String(year)), 1) : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
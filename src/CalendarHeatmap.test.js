@@ -0,0 +1,85 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import CalendarHeatmap, { yearWeeks } from "./CalendarHeatmap";
+import { buildTheme, DEFAULT_THEME_SETTINGS } from "./theme";
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const theme = buildTheme(DEFAULT_THEME_SETTINGS);
+
+const ENTRIES = [
+  { date: "2026-01-30", balance: 100, flow: 0 },
+  { date: "2026-02-02", balance: 110, flow: 0 },
+  { date: "2026-02-03", balance: 99, flow: 0 },
+];
+
+// A color as jsdom reads it back from a style
+function css(color) {
+  const div = document.createElement("div");
+  div.style.background = color;
+  return div.style.background;
+}
+
+async function render(props) {
+  const container = document.createElement("div");
+  const root = createRoot(container);
+  await act(async () => root.render(<CalendarHeatmap entries={ENTRIES} currency="USD" {...props} />));
+  // The calendar's cell of `date`, found by its week column and weekday row
+  const cell = (date) => {
+    const weeks = yearWeeks(Number(date.slice(0, 4)));
+    const wi = weeks.findIndex((week) => week.includes(date));
+    return container.querySelector('[aria-hidden="true"]').children[wi].children[weeks[wi].indexOf(date)];
+  };
+  return { container, cell, unmount: () => act(() => root.unmount()) };
+}
+
+describe("yearWeeks", () => {
+  test("lays a year out in Monday-first week columns", () => {
+    const weeks = yearWeeks(2026);
+    expect(weeks).toHaveLength(53);
+    expect(weeks[0]).toEqual([null, null, null, "2026-01-01", "2026-01-02", "2026-01-03", "2026-01-04"]);
+    expect(weeks[5][0]).toBe("2026-02-02");
+    expect(weeks[52]).toEqual(["2026-12-28", "2026-12-29", "2026-12-30", "2026-12-31", null, null, null]);
+  });
+});
+
+describe("CalendarHeatmap", () => {
+  test("colors each day's cell by its change", async () => {
+    const { cell, unmount } = await render({ onSelectMonth: () => {} });
+    expect(cell("2026-01-30").style.background).toBe(css(theme.border));
+    expect(cell("2026-01-29").style.background).toBe(css(theme.empty));
+    expect(cell("2026-02-02").style.background).toMatch(/^rgba?\(76, 175, 124/);
+    expect(cell("2026-02-03").style.background).toMatch(/^rgba?\(224, 85, 85/);
+    unmount();
+  });
+
+  test("a day with an entry opens its month", async () => {
+    const onSelectMonth = jest.fn();
+    const { cell, unmount } = await render({ onSelectMonth });
+    act(() => cell("2026-01-30").click());
+    act(() => cell("2026-02-03").click());
+    act(() => cell("2026-02-04").click());
+    expect(onSelectMonth.mock.calls).toEqual([["2026-01"], ["2026-02"]]);
+    unmount();
+  });
+
+  test("month labels and the month table open their month", async () => {
+    const onSelectMonth = jest.fn();
+    const { container, unmount } = await render({ onSelectMonth });
+    const buttons = [...container.querySelectorAll("button")];
+    act(() => buttons.find((b) => b.textContent === "Feb").click());
+    act(() => buttons.find((b) => b.getAttribute("aria-label")?.startsWith("Feb 2026:")).click());
+    expect(onSelectMonth.mock.calls).toEqual([["2026-02"], ["2026-02"]]);
+    expect(buttons.some((b) => b.textContent === "Mar")).toBe(false);
+    unmount();
+  });
+
+  test("the hover line leaves out amounts in public mode", async () => {
+    const { container, cell, unmount } = await render({ onSelectMonth: () => {}, hideAmounts: true });
+    act(() => cell("2026-02-02").dispatchEvent(new MouseEvent("mouseover", { bubbles: true })));
+    expect(container.textContent).toContain("Feb 2, 2026");
+    expect(container.textContent).toContain("10.00%");
+    expect(container.textContent).not.toContain("$110");
+    unmount();
+  });
+});
@@ -0,0 +1,88 @@
+import { fmtPct, formatDateLong } from "./format";
+import { fmtMoney } from "./currency";
+
+// The chart's points as a table, hidden on screen and read out by screen
+// readers in its place. `rows` are the chart's data points and `series`
+// the overlay view's line names. `hideAmounts` (public mode) leaves only
+// returns and multiples.
+export default function ChartTable({ view, caption, rows, series, currency, hideAmounts = false }) {
+  const money = (n, options) => fmtMoney(n, currency, options);
+
+  if (view === "overlay") {
+    // Public mode reads each line as a change from its own first value
+    const starts = {};
+    rows.forEach((r) => series.forEach((name) => {
+      if (starts[name] === undefined && r[name] !== undefined) starts[name] = r[name];
+    }));
+    const value = (r, name) => {
+      if (r[name] === undefined) return "—";
+      if (!hideAmounts) return money(r[name]);
+      return starts[name] > 0 ? fmtPct(r[name] / starts[name] - 1) : "—";
+    };
+    return (
+      <table className="sr-only">
+        <caption>{caption}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Day</th>
+            {series.map((name) => <th key={name} scope="col">{name}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.label}>
+              <th scope="row">{r.label}</th>
+              {series.map((name) => <td key={name}>{value(r, name)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  const hasFlows = !hideAmounts && rows.some((r) => r.flow);
+  const hasBenchmark = !hideAmounts && rows.some((r) => r.benchmark != null);
+  const columns = [
+    !hideAmounts && "Balance",
+    !hideAmounts && "P&L",
+    "Return",
+    "Multiple",
+    view === "drawdown" && "From high",
+    hasFlows && "Deposit / withdrawal",
+    hasBenchmark && "Benchmark",
+  ].filter(Boolean);
+
+  return (
+    <table className="sr-only">
+      <caption>{caption}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Date</th>
+          {columns.map((c) => <th key={c} scope="col">{c}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          r.balance === undefined ? (
+            // Forecast points past the last entry
+            <tr key={r.date}>
+              <th scope="row">{formatDateLong(r.date)} (projected)</th>
+              <td colSpan={columns.length}>{hideAmounts ? "" : money(r.projected)}</td>
+            </tr>
+          ) : (
+            <tr key={r.date + r.label}>
+              <th scope="row">{formatDateLong(r.date)}</th>
+              {!hideAmounts && <td>{money(r.balance)}</td>}
+              {!hideAmounts && <td>{money(r.balance - r.invested, { signed: true })}</td>}
+              <td>{fmtPct(r.profit / 100)}</td>
+              <td>{r.multiplier.toFixed(2)}x</td>
+              {view === "drawdown" && <td>{fmtPct(r.drawdown / 100)}</td>}
+              {hasFlows && <td>{r.flow ? money(r.flow, { signed: true }) : "—"}</td>}
+              {hasBenchmark && <td>{r.benchmark != null ? money(r.benchmark) : "—"}</td>}
+            </tr>
+          )
+        ))}
+      </tbody>
+    </table>
+  );
+}
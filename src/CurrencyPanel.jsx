@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { FX_SOURCES } from "./fx";
+import { useTheme } from "./theme";
+
+const inputStyle = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.body, padding: "5px 8px", fontSize: 12,
+});
+
+// Picks the exchange-rate table used to convert accounts into the display
+// currency. Edits are kept as a draft until "Apply" is pressed.
+export default function CurrencyPanel({ rates, error, missing, onApply }) {
+  const theme = useTheme();
+  const [draft, setDraft] = useState(rates);
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setDraft({ type: "file", name: file.name, text: await file.text() });
+  };
+
+  const canApply =
+    draft.type === "bundled" ||
+    (draft.type === "csv" && !!draft.url?.trim()) ||
+    (draft.type === "file" && !!draft.text);
+
+  const apply = () => {
+    if (draft.type === "csv") return onApply({ type: "csv", url: draft.url.trim() });
+    onApply(draft.type === "file" ? draft : { type: "bundled" });
+  };
+
+  return (
+    <div style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px", marginBottom: 16 }}>
+      <div style={{ fontSize: 11, color: theme.label, marginBottom: 8, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Exchange Rates
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+        <select value={draft.type} onChange={(e) => setDraft({ type: e.target.value })} style={inputStyle(theme)}>
+          {FX_SOURCES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        {draft.type === "csv" && (
+          <input type="url" value={draft.url || ""} onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+            placeholder="https://example.com/fx.csv" style={{ ...inputStyle(theme), flex: 1, minWidth: 160 }} />
+        )}
+        {draft.type === "file" && (
+          <>
+            <input type="file" accept=".csv,text/csv" onChange={pickFile} style={{ fontSize: 12, color: theme.muted }} />
+            {draft.name && <span style={{ fontSize: 11, color: theme.faint }}>{draft.name}</span>}
+          </>
+        )}
+        <button onClick={() => canApply && apply()} disabled={!canApply}
+          style={{
+            background: theme.blue + "20", border: `1px solid ${theme.blue}`, borderRadius: 6,
+            color: theme.blue, padding: "5px 13px", fontSize: 12, fontWeight: 600,
+            cursor: canApply ? "pointer" : "default", opacity: canApply ? 1 : 0.4, marginLeft: "auto"
+          }}>Apply</button>
+      </div>
+      <div style={{ fontSize: 10, color: theme.label, marginTop: 6 }}>
+        {draft.type === "bundled"
+          ? "Approximate quarterly rates for USD, EUR, GBP, JPY, CHF, CAD and AUD."
+          : "A date column, then one column per currency with its units per one unit of the base currency (USD, or the column that is always 1)."}
+      </div>
+      {error && <div style={{ fontSize: 11, color: theme.loss, marginTop: 6 }}>Couldn't load the rates, using the bundled ones: {error}</div>}
+      {missing.length > 0 && (
+        <div style={{ fontSize: 11, color: theme.orange, marginTop: 6 }}>No rate for {missing.join(", ")}: those amounts are shown unconverted.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { SOURCE_TYPES, DEFAULT_SHEET_URL, normalizeAccounts } from "./dataSources";
+import { DATE_FORMATS, NUMBER_LOCALES, DUPLICATE_RULES } from "./csv";
+import { CURRENCIES } from "./currency";
+import { useTheme } from "./theme";
+
+const inputStyle = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.body, padding: "5px 8px", fontSize: 12,
+});
+
+const smallButton = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.subtle, padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer",
+});
+
+const CSV_OPTION_LABELS = {
+  dateFormat: { auto: "Dates: detect", YMD: "YYYY-MM-DD", DMY: "DD/MM/YYYY", MDY: "MM/DD/YYYY" },
+  numberLocale: { auto: "Numbers: detect", en: "1,234.56", eu: "1.234,56" },
+  duplicates: { last: "Repeated date: keep last", first: "Repeated date: keep first" },
+};
+
+const CSV_OPTIONS = { dateFormat: DATE_FORMATS, numberLocale: NUMBER_LOCALES, duplicates: DUPLICATE_RULES };
+
+// One account row: its name, its currency and where its balances come from
+function AccountEditor({ account, onChange, onRemove }) {
+  const theme = useTheme();
+  const { source } = account;
+  const setSource = (next) => onChange({ ...account, source: next });
+
+  const pickFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setSource({ type: "file", name: file.name, text: await file.text(), csv: source.csv });
+  };
+
+  return (
+    <div style={{ borderTop: `1px solid ${theme.control}`, paddingTop: 10, marginTop: 10 }}>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+        <input value={account.name} placeholder="Account name"
+          onChange={(e) => onChange({ ...account, name: e.target.value })}
+          style={{ ...inputStyle(theme), width: 140 }} />
+        <select value={account.currency || "auto"} title="Currency the balances are in"
+          onChange={(e) => onChange({ ...account, currency: e.target.value })}
+          style={inputStyle(theme)}>
+          <option value="auto">Currency: detect</option>
+          {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        {SOURCE_TYPES.map((t) => (
+          <button key={t.id}
+            onClick={() => setSource(t.id === "file" ? { type: "file", csv: source.csv } : { type: t.id, url: source.url || "", csv: source.csv })}
+            style={{
+              ...smallButton(theme),
+              background: source.type === t.id ? theme.blue + "20" : theme.control,
+              border: `1px solid ${source.type === t.id ? theme.blue : theme.border}`,
+              color: source.type === t.id ? theme.blue : theme.subtle,
+            }}>{t.label}</button>
+        ))}
+        {onRemove && (
+          <button onClick={onRemove} style={{ ...smallButton(theme), color: theme.loss, marginLeft: "auto" }}>Remove</button>
+        )}
+      </div>
+      <div style={{ display: "flex", gap: 6, alignItems: "center", marginTop: 8 }}>
+        {source.type === "file" ? (
+          <>
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={pickFile}
+              style={{ fontSize: 12, color: theme.muted }} />
+            {source.name && <span style={{ fontSize: 11, color: theme.faint }}>{source.name}</span>}
+          </>
+        ) : (
+          <input type="url" value={source.url || ""}
+            placeholder={source.type === "csv" ? DEFAULT_SHEET_URL : "https://example.com/balances.json"}
+            onChange={(e) => setSource({ ...source, url: e.target.value })}
+            style={{ ...inputStyle(theme), flex: 1, minWidth: 0 }} />
+        )}
+      </div>
+      {source.type !== "json" && (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+          {Object.entries(CSV_OPTIONS).map(([key, values]) => (
+            <select key={key} value={source.csv?.[key] ?? values[0]}
+              onChange={(e) => setSource({ ...source, csv: { ...source.csv, [key]: e.target.value } })}
+              style={{ ...inputStyle(theme), fontSize: 11 }}>
+              {values.map((v) => <option key={v} value={v}>{CSV_OPTION_LABELS[key][v]}</option>)}
+            </select>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Settings panel for the accounts and where each is loaded from. Edits are
+// kept as a draft until "Load" is pressed.
+export default function DataSourcePanel({ accounts, onApply }) {
+  const theme = useTheme();
+  const [draft, setDraft] = useState(accounts);
+
+  const update = (i, next) => setDraft(draft.map((a, j) => (j === i ? next : a)));
+  const remove = (i) => setDraft(draft.filter((a, j) => j !== i));
+  const add = () => setDraft([...draft, { name: "", source: { type: "csv", url: "" } }]);
+
+  const canApply = draft.every(({ source }) =>
+    source.type === "file" ? !!source.text : !!source.url?.trim()
+  );
+
+  return (
+    <div style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px", marginBottom: 16 }}>
+      <div style={{ fontSize: 11, color: theme.label, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Accounts & Data Sources
+      </div>
+      {draft.map((a, i) => (
+        <AccountEditor key={i} account={a}
+          onChange={(next) => update(i, next)}
+          onRemove={draft.length > 1 ? () => remove(i) : null} />
+      ))}
+      <div style={{ display: "flex", gap: 6, marginTop: 12 }}>
+        <button onClick={add} style={smallButton(theme)}>+ Add account</button>
+        <button onClick={() => canApply && onApply(normalizeAccounts(draft))} disabled={!canApply}
+          style={{
+            background: theme.gain + "20", border: `1px solid ${theme.gain}`, borderRadius: 6,
+            color: theme.gain, padding: "5px 13px", fontSize: 12, fontWeight: 600,
+            cursor: canApply ? "pointer" : "default", opacity: canApply ? 1 : 0.4, marginLeft: "auto"
+          }}>Load</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import { useState, useEffect, useRef } from "react";
+import { putEdit, removeEdit, keepEdit, editConflict, mergeJournal } from "./journal";
+import { formatDateLong } from "./format";
+import { fmtMoney } from "./currency";
+import { useTheme } from "./theme";
+
+const inputStyle = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.body, padding: "5px 8px", fontSize: 12,
+});
+
+const smallButton = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.subtle, padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer",
+});
+
+function Field({ label, children }) {
+  const theme = useTheme();
+  return (
+    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 10, color: theme.faint, textTransform: "uppercase", letterSpacing: "0.5px" }}>
+      {label}
+      {children}
+    </label>
+  );
+}
+
+function today() {
+  const d = new Date();
+  return d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+}
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+};
+
+// What an edit does, for the list of local edits
+function describeEdit(edit, currency) {
+  if (edit.deleted) return "Deleted";
+  const parts = [];
+  if (edit.balance !== null) parts.push(fmtMoney(edit.balance, currency));
+  if (edit.flow) parts.push((edit.flow > 0 ? "dep " : "wd ") + fmtMoney(edit.flow, currency, { signed: true }));
+  return parts.length ? parts.join(" · ") : "Note";
+}
+
+// Form for adding, changing and deleting an account's entries. Changes go to
+// the local journal, which is merged over the entries loaded from the sheet.
+// Amounts are in the account's own currency (`currencies` by account name).
+export default function EntryEditor({ accounts, currencies = {}, journal, initialAccount, initialDate, onChange }) {
+  const theme = useTheme();
+  const [account, setAccount] = useState(initialAccount ?? accounts[0]?.name ?? "");
+  const currency = currencies[account];
+  const sheetEntries = accounts.find((a) => a.name === account)?.entries ?? [];
+  const edits = journal[account] || [];
+  const merged = mergeJournal(sheetEntries, edits);
+
+  // The form starts from the entry already shown for the date, if any
+  const draftFor = (date, entries = merged) => {
+    const shown = entries.find((e) => e.date === date);
+    const edit = edits.find((e) => e.date === date);
+    return {
+      date,
+      balance: shown ? String(shown.balance) : "",
+      flow: shown?.flow ? String(shown.flow) : "",
+      note: edit?.note ?? "",
+    };
+  };
+  const [draft, setDraft] = useState(() => draftFor(initialDate ?? today()));
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  // Opened from the list further down the page: bring the form into view
+  const panel = useRef(null);
+  useEffect(() => {
+    panel.current?.scrollIntoView?.({ behavior: "smooth", block: "nearest" });
+  }, []);
+
+  const sheetEntry = sheetEntries.find((e) => e.date === draft.date);
+  const shown = merged.find((e) => e.date === draft.date);
+  const edit = edits.find((e) => e.date === draft.date);
+  const balance = toNumber(draft.balance);
+  const canSave = !!draft.date && balance !== null && balance > 0;
+
+  const switchAccount = (name) => {
+    setAccount(name);
+    const entries = mergeJournal(accounts.find((a) => a.name === name)?.entries ?? [], journal[name]);
+    setDraft(draftFor(draft.date, entries));
+  };
+
+  // Values matching the sheet are left to follow the sheet
+  const save = () => {
+    const flow = toNumber(draft.flow) ?? 0;
+    onChange(putEdit(journal, account, {
+      date: draft.date,
+      balance: sheetEntry && sheetEntry.balance === balance ? null : balance,
+      flow: sheetEntry && (sheetEntry.flow || 0) === flow ? null : flow,
+      note: draft.note.trim(),
+    }, sheetEntries));
+  };
+
+  return (
+    <div ref={panel} style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px", marginBottom: 16 }}>
+      <div style={{ fontSize: 11, color: theme.label, marginBottom: 10, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Edit Entries
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 10 }}>
+        {accounts.length > 1 && (
+          <Field label="Account">
+            <select value={account} onChange={(e) => switchAccount(e.target.value)} style={inputStyle(theme)}>
+              {accounts.map((a) => <option key={a.name} value={a.name}>{a.name}</option>)}
+            </select>
+          </Field>
+        )}
+        <Field label="Date">
+          <input type="date" value={draft.date} onChange={(e) => setDraft(draftFor(e.target.value))} style={inputStyle(theme)} />
+        </Field>
+        <Field label="Balance">
+          <input type="number" min="0" step="any" value={draft.balance} onChange={set("balance")} placeholder={currency} style={inputStyle(theme)} />
+        </Field>
+        <Field label="Deposit (+) / withdrawal (−)">
+          <input type="number" step="any" value={draft.flow} onChange={set("flow")} placeholder="0" style={inputStyle(theme)} />
+        </Field>
+      </div>
+      <div style={{ marginTop: 10 }}>
+        <Field label="Note">
+          <input value={draft.note} onChange={set("note")} placeholder="e.g. took profit on X" style={inputStyle(theme)} />
+        </Field>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginTop: 12, alignItems: "center" }}>
+        <span style={{ fontSize: 11, color: theme.faint }}>
+          {sheetEntry ? `Sheet: ${fmtMoney(sheetEntry.balance, currency)}` : "Not on the sheet"}
+          {edit && " · edited locally"}
+        </span>
+        {edit && (
+          <button onClick={() => onChange(removeEdit(journal, account, draft.date))} style={{ ...smallButton(theme), marginLeft: "auto" }}>
+            Revert to sheet
+          </button>
+        )}
+        {shown && (
+          <button onClick={() => onChange(putEdit(journal, account, { date: draft.date, deleted: true }, sheetEntries))}
+            style={{ ...smallButton(theme), color: theme.loss, marginLeft: edit ? 0 : "auto" }}>Delete</button>
+        )}
+        <button onClick={() => canSave && save()} disabled={!canSave}
+          style={{
+            background: theme.gain + "20", border: `1px solid ${theme.gain}`, borderRadius: 6,
+            color: theme.gain, padding: "5px 13px", fontSize: 12, fontWeight: 600,
+            cursor: canSave ? "pointer" : "default", opacity: canSave ? 1 : 0.4,
+            marginLeft: edit || shown ? 0 : "auto"
+          }}>Save</button>
+      </div>
+
+      {/* LOCAL EDITS */}
+      {edits.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 10, color: theme.faint, textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: 4 }}>
+            Local edits ({edits.length})
+          </div>
+          {edits.map((x) => {
+            const conflict = editConflict(x, sheetEntries.find((e) => e.date === x.date));
+            return (
+              <div key={x.date} style={{ display: "flex", gap: 10, alignItems: "center", fontSize: 12, padding: "5px 0", borderTop: `1px solid ${theme.control}` }}>
+                <button onClick={() => setDraft(draftFor(x.date))} title="Edit this entry"
+                  style={{ background: "none", border: "none", padding: 0, fontSize: 12, color: theme.muted, fontFamily: "'Courier New',monospace", cursor: "pointer" }}>{formatDateLong(x.date)}</button>
+                <span style={{ color: x.deleted ? theme.loss : theme.body }}>{describeEdit(x, currency)}</span>
+                {x.note && <span style={{ color: theme.subtle, fontStyle: "italic" }}>{x.note}</span>}
+                {conflict && (
+                  <>
+                    <span style={{ color: theme.orange, marginLeft: "auto" }} title="The sheet changed after this edit">
+                      ⚠ Sheet now {conflict.balance === null ? "has no row" : fmtMoney(conflict.balance, currency)}
+                    </span>
+                    <button onClick={() => onChange(removeEdit(journal, account, x.date))} style={smallButton(theme)}>Use sheet</button>
+                    <button onClick={() => onChange(keepEdit(journal, account, x.date, sheetEntries))} style={smallButton(theme)}>Keep mine</button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
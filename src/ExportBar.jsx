@@ -0,0 +1,62 @@
+import { useState } from "react";
+import { toCSV, toJSON, downloadFile, buildSnapshotSVG, svgToPng } from "./exportData";
+import { useTheme } from "./theme";
+
+const smallButton = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.subtle, padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer",
+});
+
+// Download buttons under the chart: the current view's data, every entry,
+// and a snapshot of the chart with the header stats drawn above it.
+// `chartRef` is the element holding the rendered chart. With `dataExport`
+// off (public mode) only the chart snapshot is offered.
+export default function ExportBar({ name, viewRows, entryRows, chartRef, title, lines, dataExport = true }) {
+  const theme = useTheme();
+  const [error, setError] = useState(null);
+
+  // Downloads can fail (e.g. the browser blocks them); show why
+  const attempt = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const data = (rows, suffix, format) => attempt(() => {
+    const filename = `${name}-${suffix}.${format}`;
+    if (format === "csv") downloadFile(filename, toCSV(rows), "text/csv");
+    else downloadFile(filename, toJSON(rows), "application/json");
+  });
+
+  const snapshot = (format) => attempt(async () => {
+    const svg = chartRef.current?.querySelector("svg.recharts-surface");
+    if (!svg) throw new Error("Nothing to capture yet");
+    const snap = buildSnapshotSVG(svg, { title, lines, colors: theme });
+    if (format === "svg") downloadFile(`${name}-chart.svg`, snap.markup, "image/svg+xml");
+    else downloadFile(`${name}-chart.png`, await svgToPng(snap));
+  });
+
+  const label = { fontSize: 10, color: theme.label, textTransform: "uppercase", letterSpacing: "0.5px" };
+
+  return (
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", justifyContent: "flex-end", marginTop: 8 }}>
+      {error && <span style={{ fontSize: 11, color: theme.loss, marginRight: "auto" }}>{error}</span>}
+      {dataExport && (
+        <>
+          <span style={label}>View</span>
+          <button onClick={() => data(viewRows, "view", "csv")} disabled={!viewRows.length} style={smallButton(theme)}>CSV</button>
+          <button onClick={() => data(viewRows, "view", "json")} disabled={!viewRows.length} style={smallButton(theme)}>JSON</button>
+          <span style={{ ...label, marginLeft: 8 }}>All entries</span>
+          <button onClick={() => data(entryRows, "entries", "csv")} disabled={!entryRows.length} style={smallButton(theme)}>CSV</button>
+          <button onClick={() => data(entryRows, "entries", "json")} disabled={!entryRows.length} style={smallButton(theme)}>JSON</button>
+        </>
+      )}
+      <span style={{ ...label, marginLeft: 8 }}>Chart</span>
+      <button onClick={() => snapshot("svg")} disabled={!viewRows.length} style={smallButton(theme)}>SVG</button>
+      <button onClick={() => snapshot("png")} disabled={!viewRows.length} style={smallButton(theme)}>PNG</button>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { fmtPct, formatDateLong } from "./format";
+import { formatMultiple } from "./goal";
+import { useTheme } from "./theme";
+
+// Milestone estimates under the 100x chart
+export default function ForecastPanel({ forecast, goal, showBand, onToggleBand }) {
+  const theme = useTheme();
+  const onTrack = goal.requiredDailyRate !== null && forecast.dailyRate >= goal.requiredDailyRate;
+
+  return (
+    <div style={{ marginTop: 12, background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: theme.label, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+          Forecast
+          <span style={{ fontWeight: 400, color: theme.faint, textTransform: "none", letterSpacing: 0 }}>
+            {" "}· trend {fmtPct(forecast.dailyRate, 3)}/day
+          </span>
+        </div>
+        <label style={{ fontSize: 11, color: theme.faint, display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+          <input type="checkbox" checked={showBand} onChange={(e) => onToggleBand(e.target.checked)} />
+          Monte Carlo band
+        </label>
+      </div>
+      {forecast.milestones.map((m) => (
+        <div key={m.multiple} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, padding: "4px 0", borderTop: `1px solid ${theme.control}` }}>
+          <span style={{ color: theme.purple, fontWeight: 600 }}>{formatMultiple(m.multiple)}</span>
+          {m.reached ? (
+            <span style={{ color: theme.gain }}>Reached {formatDateLong(m.reached)}</span>
+          ) : (
+            <span style={{ color: theme.body }}>
+              {m.estimate ? `est. ${formatDateLong(m.estimate)}` : "Not on current trend"}
+              {showBand && (
+                <span style={{ color: theme.faint }}>
+                  {" "}({m.low ? formatDateLong(m.low) : "—"} – {m.high ? formatDateLong(m.high) : "beyond 10 years"})
+                </span>
+              )}
+            </span>
+          )}
+        </div>
+      ))}
+      {goal.deadline && goal.currentMultiple < goal.targetMultiple && (
+        <div style={{ fontSize: 11, color: theme.muted, marginTop: 8 }}>
+          Deadline {formatDateLong(goal.deadline)}:{" "}
+          {goal.requiredDailyRate === null ? (
+            <span style={{ color: theme.loss }}>passed</span>
+          ) : (
+            <>
+              needs {fmtPct(goal.requiredDailyRate, 3)}/day ·{" "}
+              <span style={{ color: onTrack ? theme.gain : theme.loss, fontWeight: 600 }}>{onTrack ? "On track" : "Behind"}</span>
+            </>
+          )}
+        </div>
+      )}
+      {showBand && (
+        <div style={{ fontSize: 10, color: theme.label, marginTop: 6 }}>
+          Ranges are the 10th–90th percentile of 400 simulated paths resampling past daily returns.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { DEFAULT_GOAL } from "./goal";
+import { useTheme } from "./theme";
+
+const inputStyle = (theme) => ({
+  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+  color: theme.body, padding: "5px 8px", fontSize: 12,
+});
+
+function Field({ label, children }) {
+  const theme = useTheme();
+  return (
+    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 10, color: theme.faint, textTransform: "uppercase", letterSpacing: "0.5px" }}>
+      {label}
+      {children}
+    </label>
+  );
+}
+
+const toNumber = (value) => {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+};
+
+// Settings panel for the challenge goal. Edits are kept as a draft until
+// "Save" is pressed. Amounts are in the display `currency`.
+export default function GoalPanel({ goal, currency, onApply }) {
+  const theme = useTheme();
+  const [draft, setDraft] = useState({ ...goal, milestonesText: goal.milestones.join(", ") });
+  const set = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const apply = () => {
+    const { milestonesText, ...rest } = draft;
+    onApply({
+      ...rest,
+      targetMultiple: toNumber(draft.targetMultiple) ?? DEFAULT_GOAL.targetMultiple,
+      targetAmount: toNumber(draft.targetAmount),
+      startBalance: toNumber(draft.startBalance),
+      deadline: draft.deadline || null,
+      startDate: draft.startDate || null,
+      milestones: milestonesText.split(/[,\s]+/).map(toNumber).filter((m) => m > 0),
+    });
+  };
+
+  return (
+    <div style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "12px 16px", marginBottom: 16 }}>
+      <div style={{ fontSize: 11, color: theme.label, marginBottom: 10, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+        Goal
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(160px, 1fr))", gap: 10 }}>
+        <Field label="Title">
+          <input value={draft.title} onChange={set("title")} style={inputStyle(theme)} />
+        </Field>
+        <Field label="Target">
+          <div style={{ display: "flex", gap: 4 }}>
+            <select value={draft.targetType} onChange={set("targetType")} style={inputStyle(theme)}>
+              <option value="multiple">Multiple</option>
+              <option value="amount">Amount</option>
+            </select>
+            {draft.targetType === "amount" ? (
+              <input type="number" min="0" value={draft.targetAmount ?? ""} onChange={set("targetAmount")}
+                placeholder={currency} style={{ ...inputStyle(theme), width: "100%", minWidth: 0 }} />
+            ) : (
+              <input type="number" min="1" value={draft.targetMultiple ?? ""} onChange={set("targetMultiple")}
+                placeholder="x" style={{ ...inputStyle(theme), width: "100%", minWidth: 0 }} />
+            )}
+          </div>
+        </Field>
+        <Field label="Deadline">
+          <input type="date" value={draft.deadline || ""} onChange={set("deadline")} style={inputStyle(theme)} />
+        </Field>
+        <Field label="Start date">
+          <input type="date" value={draft.startDate || ""} onChange={set("startDate")} style={inputStyle(theme)} />
+        </Field>
+        <Field label="Start balance">
+          <input type="number" min="0" value={draft.startBalance ?? ""} onChange={set("startBalance")}
+            placeholder="First entry" style={inputStyle(theme)} />
+        </Field>
+        <Field label="Milestones (x)">
+          <input value={draft.milestonesText} onChange={set("milestonesText")} placeholder="2, 5, 10, 50" style={inputStyle(theme)} />
+        </Field>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginTop: 12, justifyContent: "flex-end" }}>
+        <button onClick={() => setDraft({ ...DEFAULT_GOAL, milestonesText: DEFAULT_GOAL.milestones.join(", ") })}
+          style={{
+            background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+            color: theme.subtle, padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+          }}>Reset</button>
+        <button onClick={apply}
+          style={{
+            background: theme.gain + "20", border: `1px solid ${theme.gain}`, borderRadius: 6,
+            color: theme.gain, padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+          }}>Save</button>
+      </div>
+    </div>
+  );
+}
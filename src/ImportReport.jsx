@@ -0,0 +1,51 @@
+import { useState } from "react";
+import { hasImportIssues } from "./csv";
+import { useTheme } from "./theme";
+
+const FORMAT_LABELS = { YMD: "YYYY-MM-DD", DMY: "DD/MM/YYYY", MDY: "MM/DD/YYYY", en: "1,234.56", eu: "1.234,56" };
+
+// Collapsible summary of rows that were skipped, read with an assumed date
+// order, or dropped as repeated dates, per account
+export default function ImportReport({ accounts }) {
+  const theme = useTheme();
+  const [open, setOpen] = useState(false);
+  const withIssues = accounts.filter((a) => hasImportIssues(a.report));
+  if (!withIssues.length) return null;
+
+  const count = withIssues.reduce(
+    (n, { report }) => n + report.skipped.length + report.ambiguous.length + report.duplicates.length,
+    0
+  );
+
+  return (
+    <div style={{ background: theme.orange + "10", border: `1px solid ${theme.orange}40`, borderRadius: 8, padding: "8px 12px", marginBottom: 16, fontSize: 11 }}>
+      <button onClick={() => setOpen(!open)} aria-expanded={open}
+        style={{ background: "none", border: "none", padding: 0, font: "inherit", color: theme.orange, cursor: "pointer", fontWeight: 600 }}>
+        {open ? "▾" : "▸"} Import report: {count} row{count === 1 ? "" : "s"} need{count === 1 ? "s" : ""} attention
+      </button>
+      {open && withIssues.map(({ name, report }) => (
+        <div key={name} style={{ marginTop: 8 }}>
+          <div style={{ color: theme.muted, marginBottom: 4 }}>
+            {accounts.length > 1 && <span style={{ color: theme.body, fontWeight: 600 }}>{name} · </span>}
+            {report.imported} of {report.rows} rows imported · dates {FORMAT_LABELS[report.dateFormat]}
+            {report.dateFormatDetected ? " (detected)" : ""} · numbers {FORMAT_LABELS[report.numberLocale]}
+            {report.numberLocaleDetected ? " (detected)" : ""}
+          </div>
+          {[
+            ["Skipped", theme.loss, report.skipped],
+            ["Ambiguous", theme.orange, report.ambiguous],
+            ["Duplicate", theme.blue, report.duplicates],
+          ].map(([kind, color, items]) =>
+            items.map((item, i) => (
+              <div key={kind + i} style={{ display: "flex", gap: 8, padding: "2px 0" }}>
+                <span style={{ color: theme.faint, fontFamily: "'Courier New',monospace", minWidth: 56 }}>line {item.line}</span>
+                <span style={{ color, minWidth: 70 }}>{kind}</span>
+                <span style={{ color: theme.muted }}>{item.reason}</span>
+              </div>
+            ))
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useState, useMemo } from "react";
+import { ComposedChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from "recharts";
+import { PERIODS, resample } from "./periods";
+import { fmtPct } from "./format";
+import { fmtMoney, fmtMoneyShort } from "./currency";
+import { useTheme, trendMark } from "./theme";
+
+const MODES = [
+  { id: "candles", label: "Candles" },
+  { id: "returns", label: "Returns" },
+];
+
+const pctColor = (theme, ratio) => (ratio >= 0 ? theme.gain : theme.loss);
+
+// Candlestick drawn over a bar spanning low..high: the wick is the bar's
+// full height, the body runs from open to close
+function Candle({ x, y, width, height, payload, theme }) {
+  const { open, close, high, low } = payload;
+  const color = close >= open ? theme.gain : theme.loss;
+  const px = high > low ? height / (high - low) : 0;
+  const top = y + (high - Math.max(open, close)) * px;
+  const bodyHeight = Math.max(1, Math.abs(close - open) * px);
+  const mid = x + width / 2;
+  return (
+    <g>
+      <line x1={mid} x2={mid} y1={y} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect x={x + width * 0.15} y={top} width={width * 0.7} height={bodyHeight} fill={color} />
+    </g>
+  );
+}
+
+function PeriodTooltip({ active, payload, currency, hideAmounts }) {
+  const theme = useTheme();
+  if (!active || !payload || !payload.length) return null;
+  const b = payload[0].payload;
+  const row = (label, value, color = theme.body) => (
+    <div style={{ display: "flex", justifyContent: "space-between", gap: 12, fontSize: 11 }}>
+      <span style={{ color: theme.faint }}>{label}</span>
+      <span style={{ color }}>{value}</span>
+    </div>
+  );
+  return (
+    <div style={{
+      background: theme.tooltip, border: `1px solid ${theme.border}`, borderRadius: 8,
+      padding: "10px 14px", boxShadow: `0 4px 24px ${theme.shadow}`, minWidth: 160,
+    }}>
+      <div style={{ color: theme.muted, fontSize: 11, marginBottom: 5 }}>{b.label}</div>
+      {hideAmounts ? (
+        <>
+          {row("High", fmtPct(b.high / b.open - 1))}
+          {row("Low", fmtPct(b.low / b.open - 1))}
+          {row("Return", fmtPct(b.ret), pctColor(theme, b.ret))}
+        </>
+      ) : (
+        <>
+          {row("Open", fmtMoney(b.open, currency))}
+          {row("High", fmtMoney(b.high, currency))}
+          {row("Low", fmtMoney(b.low, currency))}
+          {row("Close", fmtMoney(b.close, currency))}
+          {b.flow !== 0 && row("Deposits", fmtMoney(b.flow, currency, { signed: true }), theme.blue)}
+          {row("Return", `${fmtMoney(b.pnl, currency, { signed: true })} (${fmtPct(b.ret)})`, pctColor(theme, b.ret))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// The entries resampled into days, weeks, months or quarters, as candles or
+// return bars, with a table of every period's return. `hideAmounts` drops
+// the dollar columns and labels the candles relative to the first open.
+export default function PeriodsPanel({ entries, currency, hideAmounts = false }) {
+  const theme = useTheme();
+  const [period, setPeriod] = useState("week");
+  const [mode, setMode] = useState("candles");
+
+  const buckets = useMemo(
+    () => resample(entries, period).map((b) => ({ ...b, range: [b.low, b.high], retPct: b.ret * 100 })),
+    [entries, period]
+  );
+
+  const toggle = (active, color) => ({
+    background: active ? color + "20" : theme.control,
+    border: `1px solid ${active ? color : theme.border}`,
+    borderRadius: 6, color: active ? color : theme.subtle,
+    padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer"
+  });
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 6, marginBottom: 8 }}>
+        <div style={{ fontSize: 11, color: theme.label, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+          Periods
+        </div>
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {PERIODS.map((p) => (
+            <button key={p.id} onClick={() => setPeriod(p.id)} style={toggle(period === p.id, theme.blue)}>{p.label}</button>
+          ))}
+          <div style={{ width: 1, background: theme.border, margin: "0 4px" }} />
+          {MODES.map((m) => (
+            <button key={m.id} onClick={() => setMode(m.id)} style={toggle(mode === m.id, theme.gain)}>{m.label}</button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ background: theme.panel, border: `1px solid ${theme.divider}`, borderRadius: 8, padding: "10px 6px 6px 2px" }}>
+        <ResponsiveContainer width="100%" height={220}>
+          <ComposedChart data={buckets} margin={{ top: 6, right: 16, left: 8, bottom: 4 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={theme.grid} vertical={false} />
+            <XAxis dataKey="label" tick={{ fill: theme.faint, fontSize: 10 }} axisLine={{ stroke: theme.border }} tickLine={false} interval="preserveStartEnd" />
+            <YAxis
+              domain={["auto", "auto"]}
+              tickFormatter={mode === "returns"
+                ? (v) => `${v.toFixed(0)}%`
+                : hideAmounts
+                ? (v) => (buckets[0]?.open > 0 ? `${(v / buckets[0].open).toFixed(2)}x` : "")
+                : (v) => fmtMoneyShort(v, currency)}
+              tick={{ fill: theme.muted, fontSize: 11 }} axisLine={{ stroke: theme.border }} tickLine={false} width={68} />
+            <Tooltip content={<PeriodTooltip currency={currency} hideAmounts={hideAmounts} />} cursor={{ fill: theme.text + "08" }} />
+            {mode === "candles" ? (
+              <Bar dataKey="range" shape={<Candle theme={theme} />} isAnimationActive={false} />
+            ) : (
+              <>
+                <ReferenceLine y={0} stroke={theme.border} />
+                <Bar dataKey="retPct" isAnimationActive={false}>
+                  {buckets.map((b) => <Cell key={b.key} fill={pctColor(theme, b.ret)} />)}
+                </Bar>
+              </>
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* PERIOD RETURNS */}
+      <div style={{ maxHeight: 220, overflowY: "auto", marginTop: 10, borderRadius: 8, border: `1px solid ${theme.divider}` }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+          <thead>
+            <tr style={{ background: theme.panel }}>
+              {(hideAmounts ? ["Period", "Return"] : ["Period", "Open", "Close", "Deposits", "P&L", "Return"]).map((h, i) => (
+                <th key={h} style={{ padding: "6px 10px", color: theme.label, textAlign: i === 0 ? "left" : "right", position: "sticky", top: 0, background: theme.panel }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {[...buckets].reverse().map((b, i) => (
+              <tr key={b.key} style={{ background: i % 2 === 0 ? theme.page : theme.panel }}>
+                <td style={{ padding: "6px 10px", color: theme.muted }}>{b.label}</td>
+                {!hideAmounts && (
+                  <>
+                    <td style={{ padding: "6px 10px", textAlign: "right" }}>{fmtMoney(b.open, currency)}</td>
+                    <td style={{ padding: "6px 10px", textAlign: "right", color: theme.text }}>{fmtMoney(b.close, currency)}</td>
+                    <td style={{ padding: "6px 10px", textAlign: "right", color: b.flow ? theme.blue : theme.ghost }}>
+                      {b.flow ? fmtMoney(b.flow, currency, { signed: true }) : "—"}
+                    </td>
+                    <td style={{ padding: "6px 10px", textAlign: "right", color: pctColor(theme, b.pnl) }}>
+                      {fmtMoney(b.pnl, currency, { signed: true })}
+                    </td>
+                  </>
+                )}
+                <td style={{ padding: "6px 10px", textAlign: "right", color: pctColor(theme, b.ret), fontWeight: 600 }}>{trendMark(b.ret)}{fmtPct(b.ret)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
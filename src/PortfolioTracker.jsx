@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import {
   ComposedChart,
   Line,
@@ -9,229 +9,511 @@ import {
   Tooltip,
   ResponsiveContainer,
   Legend,
+  Scatter,
+  ReferenceLine,
+  Brush,
 } from "recharts";
+import { loadAccountSettings, saveAccountSettings, loadSource, accountCurrency } from "./dataSources";
+import useAccountData from "./useAccountData";
+import { aggregateAccounts, ALL_ACCOUNTS } from "./accounts";
+import { fmtPct, formatDatePretty, formatDateLong, formatDateSpan, formatUpdated } from "./format";
+import { CURRENCIES, DEFAULT_CURRENCY, fmtMoney, fmtMoneyShort } from "./currency";
+import { loadCurrencySettings, saveCurrencySettings, loadFxTable, parseFxTable, convertEntries, BUNDLED_RATES } from "./fx";
+import { MONTHS } from "./constants";
+import { drawdownSeries, daysBetween } from "./analytics";
+import { buildForecast } from "./forecast";
+import { loadGoalSettings, saveGoalSettings, resolveGoal, formatMultiple } from "./goal";
+import { loadJournal, saveJournal, mergeJournal } from "./journal";
+import {
+  loadBenchmarkSettings, saveBenchmarkSettings, benchmarkName, savingsSeries, rebaseBenchmark, benchmarkStats, lastPriceDate, BUNDLED_INDEX,
+} from "./benchmark";
+import { parseCSV } from "./csv";
+import AnalyticsPanel from "./AnalyticsPanel";
+import CalendarHeatmap from "./CalendarHeatmap";
+import ForecastPanel from "./ForecastPanel";
+import GoalPanel from "./GoalPanel";
+import ImportReport from "./ImportReport";
+import DataSourcePanel from "./DataSourcePanel";
+import EntryEditor from "./EntryEditor";
+import ExportBar from "./ExportBar";
+import BenchmarkPanel from "./BenchmarkPanel";
+import PeriodsPanel from "./PeriodsPanel";
+import CurrencyPanel from "./CurrencyPanel";
+import AlertsPanel from "./AlertsPanel";
+import {
+  loadAlertSettings, saveAlertSettings, loadAlertHistory, saveAlertHistory, checkAlerts, newAlerts, addToHistory, clearHistory,
+  addRaised, loadRaisedKeys, saveRaisedKeys,
+} from "./alerts";
+import { RANGE_PRESETS, presetRange, rangeIndexes, brushRange } from "./dateRange";
+import { readUrlState, writeUrlState } from "./urlState";
+import { entryRows } from "./exportData";
+import {
+  isMonthKey, monthKey, accumulateReturns, returnPoints, monthPoints, overlayRows, overlayNames,
+  overallStats, periodStats, rangeStats,
+} from "./portfolio";
+import ChartTable from "./ChartTable";
+import {
+  ThemeContext, THEME_MODES, PALETTES, buildTheme, loadThemeSettings, saveThemeSettings, trendMark,
+} from "./theme";
 
-const MONTHS = [
-  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
-  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
-];
-
-// Distinct colors for the 'Overlay' view
-const OVERLAY_COLORS = [
-  "#ef5350", "#ec407a", "#ab47bc", "#7e57c2", "#5c6bc0", "#42a5f5",
-  "#29b6f6", "#26c6da", "#26a69a", "#66bb6a", "#9ccc65", "#d4e157",
-];
-
-async function loadFromStorage() {
-  const res = await fetch(
-  "https://docs.google.com/spreadsheets/d/e/2PACX-1vR0RCmN9uf0TXrcan5bx33Yp-M_SP4KGF1mXBU_q_pc1YCjZMlFI30GjnPrP-fSJbKtY8vUZFRmqaZx/pub?gid=148955930&single=true&output=csv&t=" + Date.now()
-);
-  const text = await res.text();
-  return parseCSV(text);
-}
+// Enter or Space on an element acting as a button
+const onActivate = (fn) => (e) => {
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    fn();
+  }
+};
+
+export default function PortfolioTracker() {
+  // A shared link opens on the chart it was copied from
+  const [initial] = useState(() => readUrlState(window.location.search));
+  const [activeAccount, setActiveAccount] = useState(initial.account);
+  const [view, setView] = useState(initial.view);
+  const [selectedYear, setSelectedYear] = useState(initial.year);
+  const [overlayMode, setOverlayMode] = useState(initial.overlayMode); // "months" | "years"
+  const [overlayMonth, setOverlayMonth] = useState(initial.overlayMonth);
+  const [showBand, setShowBand] = useState(initial.showBand); // Monte Carlo band on the forecast
+  const [range, setRange] = useState(initial.range); // date range of the Overall & Drawdown views
+  const [publicMode, setPublicMode] = useState(initial.publicMode); // hides amounts
+  // A link opened in public mode stays public for as long as the page is open
+  const publicLocked = initial.publicMode;
+  const [copied, setCopied] = useState(false);
+
+  const [accounts, setAccounts] = useState(loadAccountSettings);
+  const [showSource, setShowSource] = useState(false);
+  // A link's goal and display currency apply for this visit without being saved
+  const [goal, setGoal] = useState(() => initial.goal ?? loadGoalSettings());
+  const [showGoal, setShowGoal] = useState(false);
+  const [benchmark, setBenchmark] = useState(loadBenchmarkSettings);
+  const [benchmarkPrices, setBenchmarkPrices] = useState(null); // [{ date, balance }] from a CSV
+  const [benchmarkError, setBenchmarkError] = useState(null);
+  const [journal, setJournal] = useState(loadJournal);
+  const [editing, setEditing] = useState(null); // { account, date, key } the entry form opened on
+  const [currencySettings, setCurrencySettings] = useState(() => {
+    const saved = loadCurrencySettings();
+    return initial.currency ? { ...saved, display: initial.currency } : saved;
+  });
+  const [fxTable, setFxTable] = useState(null);
+  const [fxError, setFxError] = useState(null);
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [alertHistory, setAlertHistory] = useState(loadAlertHistory);
+  const [raisedKeys, setRaisedKeys] = useState(loadRaisedKeys);
+  const [banners, setBanners] = useState([]); // alerts raised since the page opened, until dismissed
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [themeSettings, setThemeSettings] = useState(loadThemeSettings);
+  const theme = useMemo(() => buildTheme(themeSettings), [themeSettings]);
+  const displayCurrency = currencySettings.display;
+  const money = (n, options) => fmtMoney(n, displayCurrency, options);
+
+  // accountSeries: [{ name, entries, report }]
+  const { series: accountSeries, status, error, lastUpdated, refreshing, refresh } = useAccountData(accounts);
+
+  // A link to an account that isn't configured here shows all of them
+  useEffect(() => {
+    if (accountSeries.length && activeAccount !== ALL_ACCOUNTS && !accountSeries.some((a) => a.name === activeAccount)) {
+      setActiveAccount(ALL_ACCOUNTS);
+    }
+  }, [accountSeries, activeAccount]);
 
-function parseCSV(text) {
-  const lines = text.trim().split("\n").filter((l) => l.trim().length > 0);
-  if (lines.length < 2) return [];
-  
-  const splitRow = (line) => {
-    const cols = [];
-    let current = "", inQuotes = false;
-    for (const ch of line) {
-      if (ch === '"') { inQuotes = !inQuotes; continue; }
-      if (ch === "," && !inQuotes) { cols.push(current.trim()); current = ""; continue; }
-      current += ch;
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      window.prompt("Copy this link", window.location.href);
     }
-    cols.push(current.trim());
-    return cols;
   };
 
-  const header = lines[0].toLowerCase();
-  const startIdx = (header.includes("date") || header.includes("week") || header.includes("day")) ? 1 : 0;
-  const entries = [];
+  const applyAccounts = (next) => {
+    saveAccountSettings(next);
+    setAccounts(next);
+    setActiveAccount(ALL_ACCOUNTS);
+    setView("overall");
+    setSelectedYear(null);
+    setShowSource(false);
+  };
 
-  for (let i = startIdx; i < lines.length; i++) {
-    const cols = splitRow(lines[i]);
-    if (cols.length < 2) continue;
-    
-    let dateStr = cols[0].replace(/"/g, "").trim();
-    let date = new Date(dateStr);
-    
-    if (isNaN(date.getTime())) {
-      const parts = dateStr.split(/[\/\-\.]/);
-      if (parts.length === 3) {
-        const [a, b, c] = parts.map(Number);
-        if (a > 31) date = new Date(a, b - 1, c);
-        else if (a > 12) date = new Date(c, b - 1, a);
-        else date = new Date(c, a - 1, b);
+  // Exchange rates, falling back to the bundled ones until (or unless) the
+  // chosen table loads
+  const bundledRates = useMemo(() => parseFxTable(BUNDLED_RATES), []);
+  useEffect(() => {
+    setFxTable(null);
+    setFxError(null);
+    let cancelled = false;
+    loadFxTable(currencySettings.rates).then(
+      (table) => !cancelled && setFxTable(table),
+      (e) => !cancelled && setFxError(e.message)
+    );
+    return () => { cancelled = true; };
+  }, [currencySettings.rates]);
+
+  const applyCurrency = (next) => {
+    saveCurrencySettings(next);
+    setCurrencySettings(next);
+  };
+
+  // The currency each account's own amounts are in
+  const currencies = useMemo(
+    () => Object.fromEntries(accountSeries.map((a) =>
+      [a.name, accountCurrency(accounts.find((c) => c.name === a.name), a.report, DEFAULT_CURRENCY)])),
+    [accountSeries, accounts]
+  );
+
+  // Each account's sheet entries with the local edits applied, converted
+  // into the display currency
+  const { mergedSeries, missingRates } = useMemo(() => {
+    const missing = new Set();
+    const merged = accountSeries.map((a) => {
+      const converted = convertEntries(mergeJournal(a.entries, journal[a.name]), currencies[a.name], displayCurrency, fxTable ?? bundledRates);
+      converted.missing.forEach((c) => missing.add(c));
+      return { ...a, entries: converted.entries };
+    });
+    return { mergedSeries: merged, missingRates: [...missing] };
+  }, [accountSeries, journal, currencies, displayCurrency, fxTable, bundledRates]);
+
+  // The series every view works from: one account, or all of them combined
+  const portfolioEntries = useMemo(() => aggregateAccounts(mergedSeries), [mergedSeries]);
+  const entries = useMemo(() => {
+    if (activeAccount === ALL_ACCOUNTS) return portfolioEntries;
+    return mergedSeries.find((a) => a.name === activeAccount)?.entries ?? [];
+  }, [mergedSeries, portfolioEntries, activeAccount]);
+
+  // Alerts watch the whole portfolio, whichever account is on screen, and
+  // are checked whenever its entries load, refresh or are edited. Public
+  // mode hides the banners, so nothing is raised until it is switched off.
+  const alertSeries = mergedSeries.length === 1 ? mergedSeries[0].name : "all accounts combined";
+  useEffect(() => {
+    if (publicMode || !portfolioEntries.length) return;
+    const challenge = resolveGoal(goal, portfolioEntries);
+    const found = checkAlerts(portfolioEntries, alertSettings.rules, {
+      multiple: challenge?.currentMultiple ?? 0,
+      goalStart: challenge?.startDate,
+    });
+    const fresh = newAlerts(found, raisedKeys);
+    if (!fresh.length) return;
+    const raised = addRaised(raisedKeys, fresh, alertSettings.rules);
+    saveRaisedKeys(raised);
+    setRaisedKeys(raised);
+    const next = addToHistory(alertHistory, fresh, Date.now());
+    saveAlertHistory(next);
+    setAlertHistory(next);
+    setBanners((shown) => [...fresh, ...shown]);
+    if (alertSettings.notify && "Notification" in window && window.Notification.permission === "granted") {
+      try {
+        fresh.forEach((a) => new window.Notification(goal.title || "Portfolio Tracker", { body: a.message, tag: a.key }));
+      } catch (e) {
+        // Some browsers (Chrome on Android) only notify from a service
+        // worker and throw here; the banners above still show the alerts
       }
     }
-    if (isNaN(date.getTime())) continue;
+  }, [publicMode, portfolioEntries, alertSettings, alertHistory, raisedKeys, goal]);
+
+  const applyAlerts = (next) => {
+    saveAlertSettings(next);
+    setAlertSettings(next);
+    setShowAlerts(false);
+  };
 
-    const balance = parseFloat(cols[1].replace(/[$£€,\s]/g, ""));
-    if (isNaN(balance) || balance <= 0) continue;
+  const clearAlerts = () => {
+    const next = clearHistory(alertHistory);
+    saveAlertHistory(next);
+    setAlertHistory(next);
+    setBanners([]);
+  };
 
-    const y = date.getFullYear();
-    const m = String(date.getMonth() + 1).padStart(2, "0");
-    const d = String(date.getDate()).padStart(2, "0");
-    entries.push({ date: y + "-" + m + "-" + d, balance });
-  }
-  return entries;
-}
+  const applyTheme = (next) => {
+    saveThemeSettings(next);
+    setThemeSettings(next);
+  };
 
-function fmt(n) {
-  return n.toLocaleString(undefined, {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  });
-}
+  const applyJournal = (next) => {
+    saveJournal(next);
+    setJournal(next);
+  };
 
-// NEW: Helper to format date nicely (e.g. "Jan 31")
-function formatDatePretty(dateStr) {
-  if (!dateStr || dateStr.includes("Start")) return dateStr;
-  const d = new Date(dateStr);
-  return d.toLocaleDateString("en-US", { month: "short", day: "numeric" });
-}
+  // Opens the entry form, on a given date or today
+  const editEntry = (date) => {
+    const account = activeAccount === ALL_ACCOUNTS ? accountSeries[0]?.name : activeAccount;
+    setEditing({ account, date, key: Date.now() });
+  };
 
-export default function PortfolioTracker() {
-  const [entries, setEntries] = useState([]);
-  const [view, setView] = useState("overall"); 
+  const applyGoal = (next) => {
+    saveGoalSettings(next);
+    setGoal(next);
+    setShowGoal(false);
+  };
 
-  useEffect(() => {
-    (async () => {
-      const e = await loadFromStorage();
-      if (e) setEntries(e);
-    })();
-  }, []);
+  const openMonth = (key) => {
+    setSelectedYear(Number(key.slice(0, 4)));
+    setView(key);
+  };
+
+  const switchAccount = (name) => {
+    setActiveAccount(name);
+    setSelectedYear(null);
+    if (isMonthKey(view) || view === "overlay") setView("overall");
+  };
 
   const sortedEntries = useMemo(
     () => [...entries].sort((a, b) => a.date.localeCompare(b.date)),
     [entries]
   );
 
-  const effectiveStart = useMemo(
-    () => (sortedEntries.length ? sortedEntries[0].balance : 0),
+  const returnsSeries = useMemo(
+    () => accumulateReturns(sortedEntries, null),
     [sortedEntries]
   );
 
+  // Distance below the all-time high, by date
+  const drawdowns = useMemo(
+    () => new Map(drawdownSeries(sortedEntries).map((d) => [d.date, d])),
+    [sortedEntries]
+  );
+
+  // Start, target and milestones of the challenge
+  const goalState = useMemo(() => resolveGoal(goal, sortedEntries), [goal, sortedEntries]);
+
+  // A public link carries the goal without amounts: an amount target goes as
+  // the multiple it stands for, and a start balance override is left out
+  const linkGoal = useMemo(() => {
+    if (!publicMode || (goal.targetType !== "amount" && !(goal.startBalance > 0))) return goal;
+    return {
+      ...goal, targetType: "multiple", targetAmount: null, startBalance: null,
+      targetMultiple: goalState ? goalState.targetMultiple : goal.targetMultiple,
+    };
+  }, [goal, goalState, publicMode]);
+
+  useEffect(() => {
+    const query = writeUrlState({
+      view, range, account: activeAccount, year: selectedYear, overlayMode, overlayMonth, showBand, publicMode,
+      currency: displayCurrency, goal: linkGoal,
+    });
+    const url = window.location.pathname + (query ? "?" + query : "") + window.location.hash;
+    window.history.replaceState(null, "", url);
+  }, [view, range, activeAccount, selectedYear, overlayMode, overlayMonth, showBand, publicMode, displayCurrency, linkGoal]);
+
+  // Projection towards the goal, only needed by the 100x view
+  const forecast = useMemo(
+    () =>
+      view === "100x" && goalState
+        ? buildForecast(goalState.entries, {
+            milestones: goalState.milestones.map((m) => m.multiple),
+            scale: goalState.scale,
+            simulate: showBand,
+          })
+        : null,
+    [goalState, view, showBand]
+  );
+
+  // Benchmark prices from a CSV are loaded like an account's sheet
+  useEffect(() => {
+    setBenchmarkPrices(null);
+    setBenchmarkError(null);
+    if (benchmark.type !== "csv" && benchmark.type !== "file") return;
+    let cancelled = false;
+    loadSource(benchmark).then(
+      ({ entries }) => !cancelled && setBenchmarkPrices(entries),
+      (e) => !cancelled && setBenchmarkError(e.message)
+    );
+    return () => { cancelled = true; };
+  }, [benchmark]);
+
+  const applyBenchmark = (next) => {
+    saveBenchmarkSettings(next);
+    setBenchmark(next);
+  };
+
+  // The benchmark's value on each entry date, rebased to the first balance
+  const bundledIndex = useMemo(() => parseCSV(BUNDLED_INDEX), []);
+  const indexPrices = benchmark.type === "bundled" ? bundledIndex : benchmark.type === "savings" ? null : benchmarkPrices;
+  const benchmarkValues = useMemo(() => {
+    if (benchmark.type === "savings") {
+      return rebaseBenchmark(sortedEntries, savingsSeries(sortedEntries.map((e) => e.date), benchmark.rate));
+    }
+    return indexPrices ? rebaseBenchmark(sortedEntries, indexPrices) : null;
+  }, [benchmark, indexPrices, sortedEntries]);
+  // Entries after the benchmark's last price aren't compared
+  const benchmarkEnd = useMemo(() => (indexPrices ? lastPriceDate(indexPrices) : null), [indexPrices]);
+
+  // The selected range, where it applies: the entries inside it and the
+  // baseline entry it is measured from
+  // Presets follow the latest entry, so they stay current as entries arrive
+  const rangeView = view === "overall" || view === "drawdown";
+  const lastDate = sortedEntries.length ? sortedEntries[sortedEntries.length - 1].date : null;
+  const activeRange = useMemo(
+    () => (range.preset === "custom" ? range : presetRange(range.preset, lastDate)),
+    [range, lastDate]
+  );
+  const bounds = useMemo(
+    () => (rangeView && activeRange.from ? rangeIndexes(sortedEntries, activeRange) : null),
+    [sortedEntries, activeRange, rangeView]
+  );
+
+  // Compared over the selected range, when there is one
+  const benchmarkComparison = useMemo(() => {
+    if (!benchmarkValues) return null;
+    if (!bounds) return benchmarkStats(sortedEntries, benchmarkValues);
+    return benchmarkStats(
+      sortedEntries.slice(bounds.baseline, bounds.end + 1),
+      benchmarkValues.slice(bounds.baseline, bounds.end + 1)
+    );
+  }, [benchmarkValues, sortedEntries, bounds]);
+  const comparedTo = bounds ? sortedEntries[bounds.end]?.date : lastDate;
+  const benchmarkEnded = !!benchmarkEnd && !!comparedTo && comparedTo > benchmarkEnd;
+
+  const pickPreset = (preset) => setRange({ preset, from: null, to: null });
+
+  const pickDates = (from, to) => {
+    if (!from || !to) return;
+    setRange(from > to ? { preset: "custom", from: to, to: from } : { preset: "custom", from, to });
+  };
+
+  const hasFlows = useMemo(
+    () => sortedEntries.some((e, i) => i > 0 && e.flow !== 0),
+    [sortedEntries]
+  );
+
+  const yearsWithData = useMemo(
+    () => [...new Set(sortedEntries.map((e) => Number(e.date.slice(0, 4))))],
+    [sortedEntries]
+  );
+
+  // Default to the latest year / month once data arrives
+  const activeYear = selectedYear ?? yearsWithData[yearsWithData.length - 1] ?? null;
+  const activeOverlayMonth =
+    overlayMonth ??
+    (sortedEntries.length
+      ? Number(sortedEntries[sortedEntries.length - 1].date.slice(5, 7)) - 1
+      : 0);
+
   // --- CHART DATA GENERATION ---
   const chartData = useMemo(() => {
     if (!sortedEntries.length) return [];
 
     // 1. OVERLAY VIEW
     if (view === "overlay") {
-      const dayMap = new Map();
-      sortedEntries.forEach((e) => {
-        const dObj = new Date(e.date + "T00:00:00");
-        const dayKey = String(dObj.getDate()).padStart(2, "0");
-        const monthName = MONTHS[dObj.getMonth()];
-
-        if (!dayMap.has(dayKey)) {
-          dayMap.set(dayKey, { label: dayKey });
-        }
-        dayMap.get(dayKey)[monthName] = e.balance;
-      });
-      return Array.from(dayMap.values()).sort((a, b) =>
-        a.label.localeCompare(b.label)
-      );
-    }
-
-    // 2. OVERALL & 100X VIEW
-    if (view === "overall" || view === "100x") {
-      return sortedEntries.map((e) => ({
-        label: formatDatePretty(e.date), // UPDATED: Cleaner Date
-        date: e.date,
-        balance: e.balance,
-        profit:
-          effectiveStart > 0
-            ? ((e.balance - effectiveStart) / effectiveStart) * 100
-            : 0,
-        multiplier: effectiveStart > 0 ? e.balance / effectiveStart : 1,
-      }));
+      return overlayRows(sortedEntries, { mode: overlayMode, year: activeYear, month: activeOverlayMonth });
     }
 
-    // 3. SINGLE MONTH VIEW (With Ghost Entry)
-    const mi = parseInt(view);
-    const me = sortedEntries.filter(
-      (e) => new Date(e.date + "T00:00:00").getMonth() === mi
-    );
-    if (!me.length) return [];
-
-    const firstEntryIdx = sortedEntries.indexOf(me[0]);
-    const prevEntry =
-      firstEntryIdx > 0 ? sortedEntries[firstEntryIdx - 1] : null;
-    
-    const baseline = prevEntry ? prevEntry.balance : me[0].balance;
-
-    const data = me.map((e) => ({
-      label: e.date.slice(8), // Just Day number for month view
-      date: e.date,
-      balance: e.balance,
-      profit: baseline > 0 ? ((e.balance - baseline) / baseline) * 100 : 0,
-      multiplier: baseline > 0 ? e.balance / baseline : 1,
-    }));
-
-    if (prevEntry) {
-      data.unshift({
-        label: "Start", 
-        date: prevEntry.date,
-        balance: prevEntry.balance,
-        profit: 0,
-        multiplier: 1,
+    // 2. OVERALL, 100X & DRAWDOWN VIEW
+    // profit/multiplier are time-weighted so cash flows don't count as gains
+    if (view === "overall" || view === "100x" || view === "drawdown") {
+      // The 100x view only covers the challenge, measured from the goal's start
+      const isGoal = view === "100x" && goalState;
+      const series = isGoal ? accumulateReturns(goalState.entries, null) : returnsSeries;
+      // In a date range, P&L and returns are measured from the range's baseline
+      const points = returnPoints(series, {
+        base: !isGoal && bounds ? series[bounds.baseline] : null,
+        scale: isGoal ? goalState.scale : 1,
+      }).map((p, i) => {
+        const dd = drawdowns.get(p.date);
+        return {
+          ...p,
+          drawdown: dd ? dd.drawdown * 100 : 0,
+          athDate: dd?.athDate ?? p.date,
+          ath: dd?.isNewHigh ? p.balance : null, // marker on each new high
+          benchmark: view === "overall" ? benchmarkValues?.[i] ?? null : null,
+        };
       });
+
+      // The forecast continues from the last entry
+      if (view === "100x" && forecast && points.length) {
+        const last = points[points.length - 1];
+        last.projected = last.balance;
+        last.band = [last.balance, last.balance];
+        forecast.curve.forEach((p) => {
+          points.push({ label: formatDatePretty(p.date), date: p.date, projected: p.projected, band: p.band });
+        });
+      }
+      return points;
     }
 
-    return data;
-  }, [sortedEntries, view, effectiveStart]);
+    // 3. SINGLE MONTH VIEW (With Ghost Entry)
+    return isMonthKey(view) ? monthPoints(sortedEntries, view) : [];
+  }, [sortedEntries, returnsSeries, drawdowns, goalState, forecast, benchmarkValues, bounds, view, overlayMode, activeYear, activeOverlayMonth]);
 
   // --- STATISTICS ---
+  // P&L is net of deposits/withdrawals; percentages and multipliers are
+  // time-weighted returns.
   const stats = useMemo(() => {
-    const last = sortedEntries.length
-      ? sortedEntries[sortedEntries.length - 1]
-      : null;
-    const overallPnl =
-      last && effectiveStart ? last.balance - effectiveStart : 0;
-    const overallPct =
-      effectiveStart > 0 ? (overallPnl / effectiveStart) * 100 : 0;
-    const overallMulti =
-      effectiveStart > 0 && last ? last.balance / effectiveStart : 0;
-
-    let monthPnl = 0,
-      monthPct = 0;
-    
-    if (view !== "overall" && view !== "100x" && view !== "overlay") {
-      const mi = parseInt(view);
-      const me = sortedEntries.filter(
-        (e) => new Date(e.date + "T00:00:00").getMonth() === mi
-      );
-      if (me.length) {
-        const firstEntryIdx = sortedEntries.indexOf(me[0]);
-        const prevEntry =
-          firstEntryIdx > 0 ? sortedEntries[firstEntryIdx - 1] : null;
-        const startBalance = prevEntry ? prevEntry.balance : me[0].balance;
-
-        monthPnl = me[me.length - 1].balance - startBalance;
-        monthPct = startBalance > 0 ? (monthPnl / startBalance) * 100 : 0;
-      }
-    }
+    const overall = overallStats(sortedEntries);
+    const month = isMonthKey(view) ? periodStats(sortedEntries, view) : null;
+    // Year-to-date, measured from the last entry of the previous year
+    const year = activeYear !== null ? periodStats(sortedEntries, String(activeYear)) : null;
     return {
-      overallPnl,
-      overallPct,
-      overallMulti,
-      monthPnl,
-      monthPct,
-      currentBalance: last?.balance ?? 0,
+      ...overall,
+      twrPct: overall.overallPct,
+      monthPnl: month?.pnl ?? 0,
+      monthPct: month?.pct ?? 0,
+      yearPnl: year?.pnl ?? 0,
+      yearPct: year?.pct ?? 0,
+      yearMulti: year?.multi ?? 0,
+      // The selected date range, measured from the entry before it
+      range: rangeStats(sortedEntries, bounds),
     };
-  }, [sortedEntries, effectiveStart, view]);
+  }, [sortedEntries, view, activeYear, bounds]);
 
+  // "YYYY-MM" keys of every month that has at least one entry
   const monthsWithData = useMemo(() => {
     const s = new Set();
-    sortedEntries.forEach((e) => s.add(new Date(e.date + "T00:00:00").getMonth()));
+    sortedEntries.forEach((e) => s.add(e.date.slice(0, 7)));
     return s;
   }, [sortedEntries]);
 
-  const lastProfit = chartData.length && view !== 'overlay' ? chartData[chartData.length - 1].profit : 0;
-  const areaColor = lastProfit >= 0 ? "#4caf7c" : "#e05555";
+  // Names of the series drawn in the overlay view, in display order
+  const overlaySeries = useMemo(
+    () => overlayNames(sortedEntries, { mode: overlayMode, year: activeYear, month: activeOverlayMonth }),
+    [sortedEntries, overlayMode, activeYear, activeOverlayMonth]
+  );
+
+  // Projected points have no balance of their own
+  const actualPoints = chartData.filter((d) => d.balance !== undefined);
+  const lastProfit = actualPoints.length && view !== 'overlay' ? actualPoints[actualPoints.length - 1].profit : 0;
+  const areaColor = lastProfit >= 0 && view !== "drawdown" ? theme.gain : theme.loss;
+
+  // --- EXPORT ---
+  const chartRef = useRef(null);
+  const exportEntries = useMemo(() => entryRows(returnsSeries), [returnsSeries]);
+
+  const viewName =
+    view === "overall" ? "Overall"
+    : view === "100x" ? `${formatMultiple(goalState?.targetMultiple ?? goal.targetMultiple)} Progress`
+    : view === "overlay" ? (overlayMode === "years" ? `${MONTHS[activeOverlayMonth]} by year` : `${activeYear} by month`)
+    : view === "drawdown" ? "Drawdown"
+    : `${MONTHS[Number(view.slice(5, 7)) - 1]} ${view.slice(0, 4)}`;
+
+  // Public mode labels the chart relative to where it starts instead of in
+  // dollars: the balance axis as a multiple of the baseline's balance and
+  // overlay lines as a percentage of each series' first value
+  const chartBase =
+    view === "100x" && goalState ? goalState.startBalance
+    : bounds ? chartData[bounds.baseline]?.balance
+    : chartData[0]?.balance;
+  const overlayStarts = useMemo(() => {
+    const starts = {};
+    if (view !== "overlay") return starts;
+    chartData.forEach((d) => overlaySeries.forEach((name) => {
+      if (starts[name] === undefined && d[name] !== undefined) starts[name] = d[name];
+    }));
+    return starts;
+  }, [view, chartData, overlaySeries]);
+
+  // Header stats drawn above the chart in snapshots
+  const snapshotLines = [
+    (publicMode
+      ? `Return ${stats.overallPct >= 0 ? "+" : ""}${stats.overallPct.toFixed(2)}%`
+      : `Balance ${money(stats.currentBalance)} · P&L ${money(stats.overallPnl, { signed: true })}` +
+        ` (${stats.overallPct >= 0 ? "+" : ""}${stats.overallPct.toFixed(2)}%)`) + ` · ${stats.overallMulti.toFixed(2)}x`,
+    `${viewName}` +
+      (accountSeries.length > 1 ? ` · ${activeAccount === ALL_ACCOUNTS ? "All accounts" : activeAccount}` : "") +
+      (sortedEntries.length ? ` · as of ${formatDateLong(sortedEntries[sortedEntries.length - 1].date)}` : ""),
+    ...(stats.range
+      ? [`${formatDateSpan(stats.range.from, stats.range.to)}: ` +
+          (publicMode ? "" : `${money(stats.range.pnl, { signed: true })} `) +
+          `(${stats.range.pct >= 0 ? "+" : ""}${stats.range.pct.toFixed(2)}%)`]
+      : []),
+  ];
 
   // --- TOOLTIP ---
   const CustomTooltip = ({ active, payload, label }) => {
@@ -240,14 +522,18 @@ export default function PortfolioTracker() {
     if (view === "overlay") {
       return (
         <div style={{
-          background: "rgba(14,14,20,0.96)",
-          border: "1px solid #2a2a3a", borderRadius: 8, padding: "10px", minWidth: 150
+          background: theme.tooltip,
+          border: `1px solid ${theme.border}`, borderRadius: 8, padding: "10px", minWidth: 150
         }}>
-          <div style={{ color: "#888", fontSize: 11, marginBottom: 5 }}>Day {label}</div>
+          <div style={{ color: theme.muted, fontSize: 11, marginBottom: 5 }}>Day {label}</div>
           {payload.sort((a,b) => b.value - a.value).map((p) => (
             <div key={p.name} style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, marginBottom: 3 }}>
               <span style={{ color: p.color, marginRight: 10 }}>{p.name}:</span>
-              <span style={{ color: "#e8e8e8", fontWeight: 600 }}>${fmt(p.value)}</span>
+              <span style={{ color: theme.text, fontWeight: 600 }}>
+                {publicMode
+                  ? overlayStarts[p.name] > 0 ? fmtPct(p.value / overlayStarts[p.name] - 1) : "—"
+                  : money(p.value)}
+              </span>
             </div>
           ))}
         </div>
@@ -256,76 +542,354 @@ export default function PortfolioTracker() {
 
     const d = payload[0]?.payload;
     if (!d) return null;
-    
-    let base;
-    if (view === 'overall' || view === '100x') {
-       base = effectiveStart;
-    } else {
-       base = chartData[0]?.balance || d.balance; 
-    }
 
-    const pnl = d.balance - base;
+    if (d.balance === undefined) {
+      return (
+        <div style={{
+          background: theme.tooltip,
+          border: `1px solid ${theme.border}`, borderRadius: 8, padding: "10px 14px", minWidth: 175,
+        }}>
+          <div style={{ color: theme.faint, fontSize: 11, marginBottom: 5, fontFamily: "'Courier New',monospace" }}>{formatDatePretty(d.date)} (projected)</div>
+          <div style={{ color: theme.purple, fontSize: 14, fontWeight: 600 }}>
+            {publicMode ? formatMultiple(d.projected / goalState.startBalance) : money(d.projected)}
+          </div>
+          {d.band && !publicMode && (
+            <div style={{ color: theme.faint, fontSize: 11, marginTop: 2 }}>{money(d.band[0])} – {money(d.band[1])}</div>
+          )}
+        </div>
+      );
+    }
+    
+    const pnl = d.balance - d.invested;
     const pos = pnl >= 0;
+
+    // Time since the last all-time high (overall & drawdown views)
+    let athNote = null;
+    if (d.athDate) {
+      const days = daysBetween(d.athDate, d.date);
+      athNote = days === 0 ? "At all-time high" : `${days} day${days === 1 ? "" : "s"} since ATH (${formatDatePretty(d.athDate)})`;
+    }
     
     return (
       <div style={{
-        background: "rgba(14,14,20,0.96)",
-        border: "1px solid #2a2a3a", borderRadius: 8, padding: "10px 14px",
-        boxShadow: "0 4px 24px rgba(0,0,0,0.6)", minWidth: 175,
+        background: theme.tooltip,
+        border: `1px solid ${theme.border}`, borderRadius: 8, padding: "10px 14px",
+        boxShadow: `0 4px 24px ${theme.shadow}`, minWidth: 175,
       }}>
-        <div style={{ color: "#555", fontSize: 11, marginBottom: 5, fontFamily: "'Courier New',monospace" }}>{formatDatePretty(d.date)}</div>
-        <div style={{ color: "#e8e8e8", fontSize: 14, fontWeight: 600, marginBottom: 3 }}>${fmt(d.balance)}</div>
-        <div style={{ color: pos ? "#4caf7c" : "#e05555", fontSize: 12 }}>
-          {pos ? "+" : ""}${fmt(pnl)} ({pos ? "+" : ""}{d.profit.toFixed(2)}%)
+        <div style={{ color: theme.faint, fontSize: 11, marginBottom: 5, fontFamily: "'Courier New',monospace" }}>{formatDatePretty(d.date)}</div>
+        {!publicMode && <div style={{ color: theme.text, fontSize: 14, fontWeight: 600, marginBottom: 3 }}>{money(d.balance)}</div>}
+        <div style={{ color: pos ? theme.gain : theme.loss, fontSize: publicMode ? 14 : 12, fontWeight: publicMode ? 600 : 400 }}>
+          {trendMark(pnl)}
+          {publicMode
+            ? `${d.profit >= 0 ? "+" : ""}${d.profit.toFixed(2)}%`
+            : <>{money(pnl, { signed: true })} ({pos ? "+" : ""}{d.profit.toFixed(2)}%)</>}
         </div>
-        <div style={{ color: "#555", fontSize: 11, marginTop: 2 }}>{d.multiplier.toFixed(2)}x</div>
+        <div style={{ color: theme.faint, fontSize: 11, marginTop: 2 }}>{d.multiplier.toFixed(2)}x</div>
+        {d.benchmark != null && (
+          <div style={{ color: theme.teal, fontSize: 11, marginTop: 4 }}>
+            {publicMode ? benchmarkName(benchmark) : `${benchmarkName(benchmark)}: ${money(d.benchmark)}`}
+            <div style={{ color: d.balance >= d.benchmark ? theme.gain : theme.loss }}>
+              {d.balance >= d.benchmark ? "Ahead by" : "Behind by"}{" "}
+              {publicMode
+                ? d.benchmark > 0 ? `${(Math.abs(d.balance / d.benchmark - 1) * 100).toFixed(2)}%` : "—"
+                : money(Math.abs(d.balance - d.benchmark))}
+            </div>
+          </div>
+        )}
+        {view === "drawdown" && (
+          <div style={{ color: d.drawdown < 0 ? theme.loss : theme.gain, fontSize: 12, marginTop: 4 }}>
+            {d.drawdown.toFixed(2)}% from ATH
+          </div>
+        )}
+        {athNote && (view === "overall" || view === "drawdown") && (
+          <div style={{ color: theme.muted, fontSize: 11, marginTop: 4 }}>{athNote}</div>
+        )}
+        {d.flow !== 0 && (
+          <div style={{ color: d.flow > 0 ? theme.blue : theme.orange, fontSize: 11, marginTop: 4 }}>
+            {publicMode ? (d.flow > 0 ? "Deposit" : "Withdrawal") : `${d.flow > 0 ? "Deposit" : "Withdrawal"}: ${money(d.flow, { signed: true })}`}
+          </div>
+        )}
+        {d.note && (
+          <div style={{ color: theme.muted, fontSize: 11, marginTop: 4, fontStyle: "italic", maxWidth: 220 }}>“{d.note}”</div>
+        )}
       </div>
     );
   };
 
   return (
-    <div style={{ background: "#0e0e14", minHeight: "100vh", padding: "28px 16px 24px", fontFamily: "'Segoe UI',sans-serif", color: "#ccc" }}>
+    <ThemeContext.Provider value={theme}>
+    {/* --focus colors the keyboard focus ring drawn by styles.css */}
+    <div className="tracker"
+      style={{
+        background: theme.page, minHeight: "100vh", padding: "28px 16px 24px", fontFamily: "'Segoe UI',sans-serif", color: theme.body,
+        colorScheme: theme.mode, "--focus": theme.blue
+      }}>
       <div style={{ maxWidth: 980, margin: "0 auto" }}>
         
         {/* HEADER */}
-        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 6 }}>
+        <div className="tracker-header" style={{ marginBottom: 6 }}>
           <div>
-            <h1 style={{ fontSize: 22, fontWeight: 700, color: "#e8e8e8", margin: 0, letterSpacing: "-0.5px" }}>100x Challenge</h1>
-            <span style={{ fontSize: 11, color: "#444" }}>
-              {effectiveStart > 0 ? `Starting: $${fmt(effectiveStart)} · Target: $${fmt(effectiveStart * 100)}` : "Loading..."}
+            <h1 style={{ fontSize: 22, fontWeight: 700, color: theme.text, margin: 0, letterSpacing: "-0.5px" }}>{goal.title || "100x Challenge"}</h1>
+            <span style={{ fontSize: 11, color: theme.label }}>
+              {goalState
+                ? (publicMode
+                    ? `Target: ${formatMultiple(goalState.targetMultiple)}`
+                    : `Starting: ${money(goalState.startBalance)} · Target: ${money(goalState.targetBalance)}`) +
+                  (goalState.deadline ? ` · By ${formatDateLong(goalState.deadline)}` : "")
+                : status === "loading" ? "Loading..." : "No data"}
             </span>
           </div>
+          <div className="button-strip">
+            {!publicMode && (
+              <>
+              <button onClick={() => setShowGoal(!showGoal)} aria-expanded={showGoal}
+                style={{
+                  background: showGoal ? theme.purple + "20" : theme.control,
+                  border: `1px solid ${showGoal ? theme.purple : theme.border}`,
+                  borderRadius: 6, color: showGoal ? theme.purple : theme.subtle,
+                  padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>Goal</button>
+              <button onClick={() => (editing ? setEditing(null) : editEntry(null))} disabled={!accountSeries.length} aria-expanded={!!editing}
+                style={{
+                  background: editing ? theme.gain + "20" : theme.control,
+                  border: `1px solid ${editing ? theme.gain : theme.border}`,
+                  borderRadius: 6, color: editing ? theme.gain : theme.subtle,
+                  padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>Entries</button>
+              <button onClick={() => setShowSource(!showSource)} aria-expanded={showSource}
+                style={{
+                  background: showSource ? theme.blue + "20" : theme.control,
+                  border: `1px solid ${showSource ? theme.blue : theme.border}`,
+                  borderRadius: 6, color: showSource ? theme.blue : theme.subtle,
+                  padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>Data Source</button>
+              <button onClick={() => setShowAlerts(!showAlerts)} aria-expanded={showAlerts}
+                style={{
+                  background: showAlerts ? theme.orange + "20" : theme.control,
+                  border: `1px solid ${showAlerts ? theme.orange : theme.border}`,
+                  borderRadius: 6, color: showAlerts ? theme.orange : theme.subtle,
+                  padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>Alerts{banners.length > 0 && ` (${banners.length})`}</button>
+              </>
+            )}
+            <select value={displayCurrency} onChange={(e) => applyCurrency({ ...currencySettings, display: e.target.value })}
+              title="Display currency" aria-label="Display currency"
+              style={{
+                background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+                color: theme.muted, padding: "5px 8px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+              }}>
+              {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+            {[["mode", THEME_MODES, "Theme"], ["palette", PALETTES, "Color palette"]].map(([key, options, label]) => (
+              <select key={key} value={themeSettings[key]} onChange={(e) => applyTheme({ ...themeSettings, [key]: e.target.value })}
+                title={label} aria-label={label}
+                style={{
+                  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+                  color: theme.muted, padding: "5px 8px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>
+                {options.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+              </select>
+            ))}
+            {!publicLocked && (
+              <button onClick={() => setPublicMode(!publicMode)} title="Hide amounts, showing only percentages and multiples" aria-pressed={publicMode}
+                style={{
+                  background: publicMode ? theme.orange + "20" : theme.control,
+                  border: `1px solid ${publicMode ? theme.orange : theme.border}`,
+                  borderRadius: 6, color: publicMode ? theme.orange : theme.subtle,
+                  padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>Public</button>
+            )}
+            <button onClick={copyLink} title="Copy a link to this chart"
+              style={{
+                background: theme.control, border: `1px solid ${theme.border}`,
+                borderRadius: 6, color: copied ? theme.gain : theme.subtle, padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+              }}>{copied ? "Copied" : "Copy link"}</button>
+            <button onClick={refresh} disabled={refreshing} title="Reload from the data source"
+              style={{
+                background: theme.control, border: `1px solid ${theme.border}`,
+                borderRadius: 6, color: theme.subtle, padding: "5px 13px", fontSize: 12, fontWeight: 600,
+                cursor: refreshing ? "default" : "pointer", opacity: refreshing ? 0.5 : 1
+              }}>{refreshing ? "Refreshing…" : "↻ Refresh"}</button>
+          </div>
         </div>
 
+        {/* DATA STATUS */}
+        <div style={{ fontSize: 11, color: theme.label, marginBottom: 12 }}>
+          {lastUpdated ? `Last updated ${formatUpdated(lastUpdated)}` : "Not loaded yet"}
+          {status === "stale" && (
+            <span style={{ color: theme.orange }}>
+              {error ? ` · Showing cached data, refresh failed: ${error.message}` : " · Showing cached data"}
+            </span>
+          )}
+          {missingRates.length > 0 && (
+            <span style={{ color: theme.orange }}> · No {displayCurrency} rate for {missingRates.join(", ")}, shown unconverted</span>
+          )}
+        </div>
+
+        {/* Settings and editing are left out of the public dashboard */}
+        {!publicMode && (
+          <>
+            {/* ALERT BANNERS */}
+            {banners.map((a) => (
+              <div key={a.key} role="alert"
+                style={{
+                  display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12,
+                  background: a.type === "milestone" ? theme.gain + "15" : theme.orange + "15",
+                  border: `1px solid ${a.type === "milestone" ? theme.gain : theme.orange}`,
+                  borderRadius: 8, padding: "8px 14px", marginBottom: 8, fontSize: 12,
+                  color: a.type === "milestone" ? theme.gain : theme.orange
+                }}>
+                <span>{a.message}</span>
+                <button onClick={() => setBanners(banners.filter((b) => b.key !== a.key))} title="Dismiss" aria-label="Dismiss alert"
+                  style={{ background: "none", border: "none", color: "inherit", fontSize: 14, cursor: "pointer", padding: 0 }}>×</button>
+              </div>
+            ))}
+            {showAlerts && (
+              <AlertsPanel settings={alertSettings} history={alertHistory} series={alertSeries}
+                onApply={applyAlerts} onClearHistory={clearAlerts} />
+            )}
+            {showGoal && <GoalPanel goal={goal} currency={displayCurrency} onApply={applyGoal} />}
+            {showSource && <DataSourcePanel accounts={accounts} onApply={applyAccounts} />}
+            {showSource && (
+              <CurrencyPanel rates={currencySettings.rates} error={fxError} missing={missingRates}
+                onApply={(rates) => applyCurrency({ ...currencySettings, rates })} />
+            )}
+            {editing && (
+              <EntryEditor key={editing.key} accounts={accountSeries} currencies={currencies} journal={journal}
+                initialAccount={editing.account} initialDate={editing.date} onChange={applyJournal} />
+            )}
+            <ImportReport accounts={accountSeries} />
+          </>
+        )}
+
         {/* TOP STATS */}
-        <div style={{ display: "flex", gap: 20, flexWrap: "wrap", alignItems: "center", marginBottom: 14, marginTop: 10 }}>
+        <div className="stats-row" style={{ marginBottom: 14, marginTop: 10 }}>
           <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
-            <span style={{ fontSize: 11, color: "#444" }}>Current:</span>
-            <span style={{ fontSize: 13, color: "#e8e8e8", fontWeight: 600 }}>${fmt(stats.currentBalance)}</span>
-            <span style={{ fontSize: 12, color: stats.overallPnl >= 0 ? "#4caf7c" : "#e05555", fontWeight: 600 }}>
-              {stats.overallPnl >= 0 ? "+" : ""}${fmt(stats.overallPnl)} ({stats.overallPnl >= 0 ? "+" : ""}{stats.overallPct.toFixed(2)}%)
+            <span style={{ fontSize: 11, color: theme.label }}>Current:</span>
+            {!publicMode && <span style={{ fontSize: 13, color: theme.text, fontWeight: 600 }}>{money(stats.currentBalance)}</span>}
+            <span style={{ fontSize: 12, color: stats.overallPnl >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+              {trendMark(stats.overallPnl)}
+              {publicMode
+                ? `${stats.overallPct >= 0 ? "+" : ""}${stats.overallPct.toFixed(2)}%`
+                : `${money(stats.overallPnl, { signed: true })} (${stats.overallPnl >= 0 ? "+" : ""}${stats.overallPct.toFixed(2)}%)`}
             </span>
-            <span style={{ fontSize: 11, color: "#555" }}>{stats.overallMulti.toFixed(2)}x</span>
+            <span style={{ fontSize: 11, color: theme.faint }}>{stats.overallMulti.toFixed(2)}x</span>
           </div>
+
+          {/* Cash-flow-adjusted returns */}
+          {hasFlows && (
+            <>
+              <div className="stats-divider" style={{ width: 1, height: 18, background: theme.border }} />
+              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                {!publicMode && (
+                  <>
+                    <span style={{ fontSize: 11, color: theme.label }}>Net deposits:</span>
+                    <span style={{ fontSize: 12, color: theme.blue, fontWeight: 600 }}>
+                      {money(stats.netDeposits, { signed: true })}
+                    </span>
+                  </>
+                )}
+                <span style={{ fontSize: 11, color: theme.label }}>TWR:</span>
+                <span style={{ fontSize: 12, color: stats.twrPct >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+                  {trendMark(stats.twrPct)}{stats.twrPct >= 0 ? "+" : ""}{stats.twrPct.toFixed(2)}%
+                </span>
+                {stats.irrPct !== null && (
+                  <>
+                    <span style={{ fontSize: 11, color: theme.label }}>IRR:</span>
+                    <span style={{ fontSize: 12, color: stats.irrPct >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+                      {trendMark(stats.irrPct)}{stats.irrPct >= 0 ? "+" : ""}{stats.irrPct.toFixed(2)}%/yr
+                    </span>
+                  </>
+                )}
+              </div>
+            </>
+          )}
           
+          {/* Selected date range */}
+          {stats.range && (
+            <>
+              <div className="stats-divider" style={{ width: 1, height: 18, background: theme.border }} />
+              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                <span style={{ fontSize: 11, color: theme.label }}>
+                  {formatDateSpan(stats.range.from, stats.range.to)}:
+                </span>
+                <span style={{ fontSize: 12, color: stats.range.pnl >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+                  {trendMark(stats.range.pnl)}
+                  {publicMode
+                    ? `${stats.range.pct >= 0 ? "+" : ""}${stats.range.pct.toFixed(2)}%`
+                    : `${money(stats.range.pnl, { signed: true })} (${stats.range.pnl >= 0 ? "+" : ""}${stats.range.pct.toFixed(2)}%)`}
+                </span>
+                <span style={{ fontSize: 11, color: theme.faint }}>{stats.range.multi.toFixed(2)}x</span>
+              </div>
+            </>
+          )}
+
+          {/* Against the benchmark */}
+          {view === "overall" && benchmarkComparison && (
+            <>
+              <div className="stats-divider" style={{ width: 1, height: 18, background: theme.border }} />
+              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                <span style={{ fontSize: 11, color: theme.label }}>vs {benchmarkName(benchmark)}:</span>
+                <span style={{ fontSize: 12, color: benchmarkComparison.excessReturn >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+                  {trendMark(benchmarkComparison.excessReturn)}{benchmarkComparison.excessReturn >= 0 ? "+" : ""}{(benchmarkComparison.excessReturn * 100).toFixed(2)}%
+                </span>
+                {benchmarkComparison.alpha !== null && (
+                  <>
+                    <span style={{ fontSize: 11, color: theme.label }}>α:</span>
+                    <span style={{ fontSize: 12, color: benchmarkComparison.alpha >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+                      {trendMark(benchmarkComparison.alpha)}{benchmarkComparison.alpha >= 0 ? "+" : ""}{(benchmarkComparison.alpha * 100).toFixed(2)}%/yr
+                    </span>
+                  </>
+                )}
+                {benchmarkComparison.beta !== null && (
+                  <>
+                    <span style={{ fontSize: 11, color: theme.label }}>β:</span>
+                    <span style={{ fontSize: 12, color: theme.body, fontWeight: 600 }}>{benchmarkComparison.beta.toFixed(2)}</span>
+                  </>
+                )}
+                {benchmarkEnded && (
+                  <span style={{ fontSize: 11, color: theme.orange }}>benchmark data ends {formatDateLong(benchmarkEnd)}</span>
+                )}
+              </div>
+            </>
+          )}
+
+          {/* Year Stats */}
+          {activeYear !== null && (
+            <>
+              <div className="stats-divider" style={{ width: 1, height: 18, background: theme.border }} />
+              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                <span style={{ fontSize: 11, color: theme.label }}>{activeYear} YTD:</span>
+                <span style={{ fontSize: 12, color: stats.yearPnl >= 0 ? theme.gain : theme.loss, fontWeight: 600 }}>
+                  {trendMark(stats.yearPnl)}
+                  {publicMode
+                    ? `${stats.yearPct >= 0 ? "+" : ""}${stats.yearPct.toFixed(2)}%`
+                    : `${money(stats.yearPnl, { signed: true })} (${stats.yearPnl >= 0 ? "+" : ""}${stats.yearPct.toFixed(2)}%)`}
+                </span>
+                <span style={{ fontSize: 11, color: theme.faint }}>{stats.yearMulti.toFixed(2)}x</span>
+              </div>
+            </>
+          )}
+
            {/* Month Stats */}
-           {view !== "overall" && view !== "100x" && view !== "overlay" && (
+           {isMonthKey(view) && (
             <>
-              <div style={{ width: 1, height: 18, background: "#2a2a3a" }} />
+              <div className="stats-divider" style={{ width: 1, height: 18, background: theme.border }} />
               <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                <span style={{ fontSize: 11, color: "#444" }}>
-                  {MONTHS[parseInt(view)]}:
+                <span style={{ fontSize: 11, color: theme.label }}>
+                  {MONTHS[parseInt(view.slice(5)) - 1]} {view.slice(0, 4)}:
                 </span>
                 <span
                   style={{
                     fontSize: 12,
-                    color: stats.monthPnl >= 0 ? "#4caf7c" : "#e05555",
+                    color: stats.monthPnl >= 0 ? theme.gain : theme.loss,
                     fontWeight: 600,
                   }}
                 >
-                  {stats.monthPnl >= 0 ? "+" : ""}${fmt(stats.monthPnl)} (
+                  {trendMark(stats.monthPnl)}
+                  {!publicMode && <>{money(stats.monthPnl, { signed: true })} (</>}
                   {stats.monthPnl >= 0 ? "+" : ""}
-                  {stats.monthPct.toFixed(2)}%)
+                  {stats.monthPct.toFixed(2)}%{!publicMode && ")"}
                 </span>
               </div>
             </>
@@ -333,166 +897,378 @@ export default function PortfolioTracker() {
         </div>
 
         {/* PROGRESS BAR */}
-        {effectiveStart > 0 && stats.currentBalance > 0 && (
-          <div style={{ marginBottom: 24, background: "#111118", padding: "12px 16px", borderRadius: 8, border: "1px solid #1e1e2a" }}>
-            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: "#888", marginBottom: 6 }}>
-              <span style={{ fontWeight: 600, color: "#ccc"}}>Progress to 100x</span>
-              <span>{stats.overallMulti.toFixed(2)}x <span style={{color:'#555'}}>/</span> 100x</span>
+        {goalState && stats.currentBalance > 0 && (
+          <div style={{ marginBottom: 24, background: theme.panel, padding: "12px 16px", borderRadius: 8, border: `1px solid ${theme.divider}` }}>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: theme.muted, marginBottom: 6 }}>
+              <span style={{ fontWeight: 600, color: theme.body}}>
+                Progress to {formatMultiple(goalState.targetMultiple)}
+                {hasFlows && <span style={{ fontWeight: 400, color: theme.faint }}> (net of deposits)</span>}
+              </span>
+              <span>{goalState.currentMultiple.toFixed(2)}x <span style={{color:theme.faint}}>/</span> {formatMultiple(goalState.targetMultiple)}</span>
             </div>
-            <div style={{ height: 6, background: "#1a1a24", borderRadius: 3, overflow: "hidden", position: "relative" }}>
+            <div style={{ height: 6, background: theme.control, borderRadius: 3, overflow: "hidden", position: "relative" }}>
               <div style={{
                 height: "100%", borderRadius: 3,
-                width: `${Math.min(100, (stats.overallMulti / 100) * 100)}%`,
-                background: "linear-gradient(90deg,#4caf7c,#5b9bd5)",
+                width: `${Math.min(100, (goalState.currentMultiple / goalState.targetMultiple) * 100)}%`,
+                background: `linear-gradient(90deg,${theme.gain},${theme.blue})`,
                 transition: "width 0.6s ease"
               }} />
             </div>
-            <div style={{ textAlign: "right", fontSize: 10, color: "#5b9bd5", marginTop: 4, fontWeight: 600 }}>
-              {((stats.overallMulti / 100) * 100).toFixed(2)}% Complete
+            <div style={{ textAlign: "right", fontSize: 10, color: theme.blue, marginTop: 4, fontWeight: 600 }}>
+              {((goalState.currentMultiple / goalState.targetMultiple) * 100).toFixed(2)}% Complete
             </div>
           </div>
         )}
 
+        {/* ACCOUNT SWITCHER */}
+        {accountSeries.length > 1 && (
+          <div className="button-strip" role="group" aria-label="Account" style={{ marginBottom: 10 }}>
+            {[{ key: ALL_ACCOUNTS, label: "All accounts" }, ...accountSeries.map((a) => ({ key: a.name, label: a.name }))].map(({ key, label }) => (
+              <button key={key} onClick={() => switchAccount(key)} aria-pressed={activeAccount === key}
+                style={{
+                  background: activeAccount === key ? theme.teal + "20" : theme.control,
+                  border: `1px solid ${activeAccount === key ? theme.teal : theme.border}`,
+                  borderRadius: 6, color: activeAccount === key ? theme.teal : theme.subtle,
+                  padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                }}>{label}</button>
+            ))}
+          </div>
+        )}
+
         {/* VIEW CONTROLS */}
-        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 16, alignItems: "center" }}>
-          <button onClick={() => setView("overall")}
+        <div className="button-strip" role="group" aria-label="Chart view" style={{ marginBottom: 16 }}>
+          <button onClick={() => setView("overall")} aria-pressed={view === "overall"}
             style={{
-              background: view === "overall" ? "#5b9bd520" : "#1a1a24",
-              border: `1px solid ${view === "overall" ? "#5b9bd5" : "#2a2a3a"}`,
-              borderRadius: 6, color: view === "overall" ? "#5b9bd5" : "#666",
+              background: view === "overall" ? theme.blue + "20" : theme.control,
+              border: `1px solid ${view === "overall" ? theme.blue : theme.border}`,
+              borderRadius: 6, color: view === "overall" ? theme.blue : theme.subtle,
               padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
             }}>Overall</button>
 
-           <button onClick={() => setView("100x")}
+           <button onClick={() => setView("100x")} aria-pressed={view === "100x"}
             style={{
-              background: view === "100x" ? "#ab47bc20" : "#1a1a24",
-              border: `1px solid ${view === "100x" ? "#ab47bc" : "#2a2a3a"}`,
-              borderRadius: 6, color: view === "100x" ? "#ab47bc" : "#666",
+              background: view === "100x" ? theme.purple + "20" : theme.control,
+              border: `1px solid ${view === "100x" ? theme.purple : theme.border}`,
+              borderRadius: 6, color: view === "100x" ? theme.purple : theme.subtle,
               padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
-            }}>100x Progress</button>
+            }}>{goalState ? formatMultiple(goalState.targetMultiple) : "100x"} Progress</button>
 
-            <button onClick={() => setView("overlay")}
+            <button onClick={() => setView("overlay")} aria-pressed={view === "overlay"}
             style={{
-              background: view === "overlay" ? "#f0a05020" : "#1a1a24",
-              border: `1px solid ${view === "overlay" ? "#f0a050" : "#2a2a3a"}`,
-              borderRadius: 6, color: view === "overlay" ? "#f0a050" : "#666",
+              background: view === "overlay" ? theme.orange + "20" : theme.control,
+              border: `1px solid ${view === "overlay" ? theme.orange : theme.border}`,
+              borderRadius: 6, color: view === "overlay" ? theme.orange : theme.subtle,
               padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
             }}>Overlay</button>
 
-          <div style={{ width: 1, height: 22, background: "#2a2a3a", margin: "0 4px" }} />
+            <button onClick={() => setView("drawdown")} aria-pressed={view === "drawdown"}
+            style={{
+              background: view === "drawdown" ? theme.loss + "20" : theme.control,
+              border: `1px solid ${view === "drawdown" ? theme.loss : theme.border}`,
+              borderRadius: 6, color: view === "drawdown" ? theme.loss : theme.subtle,
+              padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+            }}>Drawdown</button>
+
+          <div style={{ width: 1, height: 22, background: theme.border, margin: "0 4px" }} />
+
+          {/* YEAR PICKER */}
+          <select
+            value={activeYear ?? ""} aria-label="Year"
+            onChange={(e) => {
+              const y = Number(e.target.value);
+              setSelectedYear(y);
+              // Keep the same month selected when it exists in the new year
+              if (isMonthKey(view)) {
+                const key = y + view.slice(4);
+                setView(monthsWithData.has(key) ? key : "overall");
+              }
+            }}
+            style={{
+              background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+              color: theme.muted, padding: "4px 6px", fontSize: 11.5, fontWeight: 600, cursor: "pointer"
+            }}>
+            {yearsWithData.map((y) => <option key={y} value={y}>{y}</option>)}
+          </select>
 
           {MONTHS.map((m, i) => {
-            const has = monthsWithData.has(i), active = view === String(i);
+            const key = monthKey(activeYear, i);
+            const has = monthsWithData.has(key), active = view === key;
             return (
-              <button key={m} onClick={() => has && setView(String(i))}
+              <button key={m} onClick={() => setView(key)} disabled={!has} aria-pressed={active}
+                aria-label={`${m} ${activeYear}${has ? "" : ", no entries"}`}
                 style={{
-                  background: active ? "#ccc2" : has ? "#1a1a24" : "#141418",
-                  border: `1px solid ${active ? "#ccc" : has ? "#2a2a3a" : "#1a1a22"}`,
-                  borderRadius: 6, color: active ? "#fff" : has ? "#888" : "#333",
+                  background: active ? theme.body + "22" : has ? theme.control : theme.panel,
+                  border: `1px solid ${active ? theme.body : has ? theme.border : theme.divider}`,
+                  borderRadius: 6, color: active ? theme.text : has ? theme.muted : theme.ghost,
                   padding: "5px 10px", fontSize: 11.5, fontWeight: 500,
                   cursor: has ? "pointer" : "default", opacity: has ? 1 : 0.4, position: "relative"
                 }}>
                 {m}
-                {has && <span style={{ position: "absolute", top: -3, right: -3, width: 6, height: 6, borderRadius: "50%", background: "#4caf7c" }} />}
+                {has && <span style={{ position: "absolute", top: -3, right: -3, width: 6, height: 6, borderRadius: "50%", background: theme.gain }} />}
               </button>
             );
           })}
         </div>
 
+        {/* OVERLAY CONTROLS */}
+        {view === "overlay" && (
+          <div role="group" aria-label="Overlay" style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: -8, marginBottom: 16, alignItems: "center" }}>
+            {[["months", `Months of ${activeYear}`], ["years", "Same month across years"]].map(([mode, label]) => (
+              <button key={mode} onClick={() => setOverlayMode(mode)} aria-pressed={overlayMode === mode}
+                style={{
+                  background: overlayMode === mode ? theme.orange + "20" : theme.control,
+                  border: `1px solid ${overlayMode === mode ? theme.orange : theme.border}`,
+                  borderRadius: 6, color: overlayMode === mode ? theme.orange : theme.subtle,
+                  padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer"
+                }}>{label}</button>
+            ))}
+            {overlayMode === "years" && (
+              <select
+                value={activeOverlayMonth} aria-label="Month"
+                onChange={(e) => setOverlayMonth(Number(e.target.value))}
+                style={{
+                  background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+                  color: theme.muted, padding: "4px 6px", fontSize: 11, fontWeight: 600, cursor: "pointer"
+                }}>
+                {MONTHS.map((m, i) => <option key={m} value={i}>{m}</option>)}
+              </select>
+            )}
+          </div>
+        )}
+
+        {/* RANGE CONTROLS */}
+        {rangeView && sortedEntries.length > 1 && (
+          <div role="group" aria-label="Date range" style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: -8, marginBottom: 16, alignItems: "center" }}>
+            {RANGE_PRESETS.map((preset) => (
+              <button key={preset} onClick={() => pickPreset(preset)} aria-pressed={range.preset === preset}
+                style={{
+                  background: range.preset === preset ? theme.blue + "20" : theme.control,
+                  border: `1px solid ${range.preset === preset ? theme.blue : theme.border}`,
+                  borderRadius: 6, color: range.preset === preset ? theme.blue : theme.subtle,
+                  padding: "4px 10px", fontSize: 11, fontWeight: 600, cursor: "pointer"
+                }}>{preset}</button>
+            ))}
+            <div style={{ display: "flex", gap: 4, alignItems: "center", marginLeft: 6 }}>
+              {[["from", "From"], ["to", "To"]].map(([key, label]) => (
+                <input key={key} type="date" aria-label={label}
+                  value={activeRange[key] ?? (key === "from" ? sortedEntries[0].date : lastDate)}
+                  min={sortedEntries[0].date} max={sortedEntries[sortedEntries.length - 1].date}
+                  onChange={(e) => key === "from"
+                    ? pickDates(e.target.value, activeRange.to ?? lastDate)
+                    : pickDates(activeRange.from ?? sortedEntries[0].date, e.target.value)}
+                  style={{
+                    background: range.preset === "custom" ? theme.blue + "20" : theme.control,
+                    border: `1px solid ${range.preset === "custom" ? theme.blue : theme.border}`,
+                    borderRadius: 6, color: theme.muted, padding: "3px 6px", fontSize: 11
+                  }} />
+              ))}
+            </div>
+            {activeRange.from && !bounds && <span style={{ fontSize: 11, color: theme.loss }}>No entries in this range</span>}
+          </div>
+        )}
+
         {/* CHART AREA */}
-        <div style={{
-          background: "#111118", borderRadius: 12, border: "1px solid #1e1e2a",
-          padding: "14px 6px 6px 2px", boxShadow: "0 8px 40px rgba(0,0,0,0.4)", minHeight: 380
+        <div ref={chartRef} style={{
+          background: theme.panel, borderRadius: 12, border: `1px solid ${theme.divider}`,
+          padding: "14px 6px 6px 2px", boxShadow: `0 8px 40px ${theme.shadow}`, minHeight: 380
         }}>
           {chartData.length === 0 ? (
             <div style={{ height: 340, display: "flex", alignItems: "center", justifyContent: "center", flexDirection: "column", gap: 10 }}>
-              <div style={{ color: "#333", fontSize: 40 }}>📈</div>
-              <div style={{ color: "#444", fontSize: 14 }}>Loading data from sheet...</div>
+              <div style={{ color: theme.ghost, fontSize: 40 }}>📈</div>
+              {status === "error" ? (
+                <>
+                  <div style={{ color: theme.loss, fontSize: 14 }}>Couldn't load data: {error.message}</div>
+                  <button onClick={refresh} disabled={refreshing}
+                    style={{
+                      background: theme.control, border: `1px solid ${theme.border}`, borderRadius: 6,
+                      color: theme.muted, padding: "5px 13px", fontSize: 12, fontWeight: 600, cursor: "pointer"
+                    }}>{refreshing ? "Retrying…" : "Retry"}</button>
+                </>
+              ) : status === "loading" ? (
+                <div style={{ color: theme.label, fontSize: 14 }}>Loading data from {accounts.length > 1 ? "accounts" : "sheet"}...</div>
+              ) : status === "empty" ? (
+                <div style={{ color: theme.label, fontSize: 14 }}>No entries yet. Add rows to the data source, or pick another one.</div>
+              ) : (
+                <div style={{ color: theme.label, fontSize: 14 }}>No entries in this view.</div>
+              )}
             </div>
           ) : (
             <ResponsiveContainer width="100%" height={380}>
-              <ComposedChart data={chartData} margin={{ top: 10, right: 16, left: 8, bottom: 8 }}>
+              <ComposedChart data={chartData} margin={{ top: 10, right: 16, left: 8, bottom: 8 }}
+                title={`${viewName} chart`} desc="Focus the chart and use the arrow keys to step through its entries">
                 <defs>
                   <linearGradient id="gArea" x1="0" y1="0" x2="0" y2="1">
                     <stop offset="0%" stopColor={areaColor} stopOpacity={0.35} />
                     <stop offset="100%" stopColor={areaColor} stopOpacity={0.02} />
                   </linearGradient>
                 </defs>
-                <CartesianGrid strokeDasharray="3 3" stroke="#1a1a26" vertical={false} />
+                <CartesianGrid strokeDasharray="3 3" stroke={theme.grid} vertical={false} />
                 <XAxis
                   dataKey="label"
                   type="category"
-                  tick={{ fill: "#555", fontSize: 11 }}
-                  axisLine={{ stroke: "#2a2a3a" }}
+                  tick={{ fill: theme.faint, fontSize: 11 }}
+                  axisLine={{ stroke: theme.border }}
                   tickLine={false}
                   interval={view === 'overlay' ? 2 : 'preserveStartEnd'}
                 />
                 <YAxis
                   orientation="left"
-                  domain={view === '100x' ? [0, 79000] : ["auto", "auto"]}
-                  tickFormatter={(v) => `$${v >= 1000 ? (v / 1000).toFixed(1) + "K" : v.toLocaleString()}`}
-                  tick={{ fill: "#888", fontSize: 11 }}
-                  axisLine={{ stroke: "#2a2a3a" }}
+                  domain={view === '100x' && goalState ? [0, Math.ceil(goalState.targetBalance)] : view === 'drawdown' ? ["auto", 0] : ["auto", "auto"]}
+                  tickFormatter={view === 'drawdown'
+                    ? (v) => `${v.toFixed(0)}%`
+                    : publicMode
+                    ? (v) => (view === 'overlay' || !chartBase ? "" : `${(v / chartBase).toFixed(2)}x`)
+                    : (v) => fmtMoneyShort(v, displayCurrency)}
+                  tick={{ fill: theme.muted, fontSize: 11 }}
+                  axisLine={{ stroke: theme.border }}
                   tickLine={false}
                   width={68}
                 />
-                <Tooltip content={<CustomTooltip />} cursor={{ stroke: "#2a2a3a", strokeWidth: 1 }} />
+                <Tooltip content={<CustomTooltip />} cursor={{ stroke: theme.border, strokeWidth: 1 }} />
                 
                 {view === 'overlay' ? (
-                  MONTHS.map((m, i) => (
-                     monthsWithData.has(i) && (
+                  overlaySeries.map((name, i) => (
                       <Line
-                        key={m}
+                        key={name}
                         type="monotone"
-                        dataKey={m}
-                        stroke={OVERLAY_COLORS[i % OVERLAY_COLORS.length]}
+                        dataKey={name}
+                        stroke={theme.series[(overlayMode === "years" ? i : MONTHS.indexOf(name)) % theme.series.length]}
                         strokeWidth={2}
                         dot={{ r: 3 }}
                         activeDot={{ r: 5 }}
                         connectNulls
                       />
-                     )
                   ))
                 ) : (
                   <Area
                     type="monotone"
-                    dataKey="balance"
+                    dataKey={view === 'drawdown' ? "drawdown" : "balance"}
+                    baseValue={view === 'drawdown' ? 0 : undefined}
                     stroke={areaColor}
                     strokeWidth={2}
                     fill="url(#gArea)"
                     isAnimationActive={false}
-                    dot={chartData.length < 60 ? { r: 2.5, fill: areaColor, strokeWidth: 0 } : false}
+                    dot={actualPoints.length < 60 ? { r: 2.5, fill: areaColor, strokeWidth: 0 } : false}
                     connectNulls
                   />
                 )}
+                {view === '100x' && goalState && goalState.milestones.map((m) => (
+                  <ReferenceLine key={m.multiple} y={m.balance}
+                    stroke={m.reached ? theme.gain : theme.border} strokeDasharray="4 4"
+                    label={{
+                      value: formatMultiple(m.multiple) + (m.reached ? ` · ${formatDatePretty(m.reached)}` : ""),
+                      position: "insideTopLeft", fill: m.reached ? theme.gain : theme.faint, fontSize: 10
+                    }} />
+                ))}
+                {view === '100x' && forecast && showBand && (
+                  <Area type="monotone" dataKey="band" stroke="none" fill={theme.purple} fillOpacity={0.12} isAnimationActive={false} />
+                )}
+                {view === '100x' && forecast && (
+                  <Line type="monotone" dataKey="projected" stroke={theme.purple} strokeWidth={2} strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+                )}
+                {view !== 'overlay' && view !== 'drawdown' && hasFlows && (
+                  <Scatter dataKey="deposit" fill={theme.blue} shape="triangle" isAnimationActive={false} />
+                )}
+                {view !== 'overlay' && view !== 'drawdown' && hasFlows && (
+                  <Scatter dataKey="withdrawal" fill={theme.orange} shape="diamond" isAnimationActive={false} />
+                )}
+                {view === 'overall' && benchmarkComparison && (
+                  <Line type="monotone" dataKey="benchmark" stroke={theme.teal} strokeWidth={1.5} dot={false} isAnimationActive={false} connectNulls />
+                )}
+                {view === 'overall' && (
+                  <Scatter dataKey="ath" fill={theme.gold} shape="star" isAnimationActive={false} />
+                )}
+                {rangeView && chartData.length > 2 && (
+                  <Brush dataKey="label" height={22} travellerWidth={8} stroke={theme.border} fill={theme.page}
+                    startIndex={bounds ? bounds.baseline : 0}
+                    endIndex={bounds ? bounds.end : chartData.length - 1}
+                    onChange={({ startIndex, endIndex }) =>
+                      startIndex !== undefined && setRange(brushRange(sortedEntries, startIndex, endIndex))} />
+                )}
                 {view === 'overlay' && <Legend iconType="circle" wrapperStyle={{fontSize: 11, paddingTop: 10}}/>}
               </ComposedChart>
             </ResponsiveContainer>
           )}
         </div>
+        {chartData.length > 0 && (
+          <ChartTable view={view} caption={viewName} rows={bounds ? chartData.slice(bounds.baseline, bounds.end + 1) : chartData}
+            series={overlaySeries} currency={displayCurrency} hideAmounts={publicMode} />
+        )}
+        <ExportBar name={`portfolio-${view}`} viewRows={bounds ? chartData.slice(bounds.baseline, bounds.end + 1) : chartData} entryRows={exportEntries}
+          chartRef={chartRef} title={goal.title || "100x Challenge"} lines={snapshotLines} dataExport={!publicMode} />
+
+        {/* FORECAST */}
+        {view === "100x" && forecast && (
+          <ForecastPanel forecast={forecast} goal={goalState} showBand={showBand} onToggleBand={setShowBand} />
+        )}
+
+        {/* BENCHMARK */}
+        {view === "overall" && sortedEntries.length > 0 && !publicMode && (
+          <BenchmarkPanel benchmark={benchmark} onApply={applyBenchmark}
+            error={benchmarkError ?? (benchmarkValues && !benchmarkComparison
+              ? (benchmarkEnded ? `benchmark data ends ${formatDateLong(benchmarkEnd)}` : "no prices overlap the entries' dates")
+              : null)} />
+        )}
+
+        {/* PERIODS */}
+        {sortedEntries.length > 1 && <PeriodsPanel entries={sortedEntries} currency={displayCurrency} hideAmounts={publicMode} />}
+
+        {/* CALENDAR HEATMAP */}
+        {sortedEntries.length > 0 && <CalendarHeatmap entries={sortedEntries} currency={displayCurrency} onSelectMonth={openMonth} hideAmounts={publicMode} />}
+
+        {/* ANALYTICS */}
+        {sortedEntries.length > 1 && <AnalyticsPanel entries={sortedEntries} />}
 
         {/* RECENT ENTRIES LIST */}
         {sortedEntries.length > 0 && (
           <div style={{ marginTop: 20 }}>
-            <div style={{ fontSize: 11, color: "#444", marginBottom: 8, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
-              Recent Entries <span style={{ fontWeight: 400, color: "#333" }}>({sortedEntries.length} total)</span>
+            <div style={{ fontSize: 11, color: theme.label, marginBottom: 8, fontWeight: 600, letterSpacing: "0.5px", textTransform: "uppercase" }}>
+              Recent Entries
+              {accountSeries.length > 1 && <span style={{ color: theme.teal }}> · {activeAccount === ALL_ACCOUNTS ? "All accounts" : activeAccount}</span>}
+              {" "}<span style={{ fontWeight: 400, color: theme.ghost }}>({sortedEntries.length} total)</span>
             </div>
-            <div style={{ maxHeight: 180, overflowY: "auto", borderRadius: 8, border: "1px solid #1e1e2a" }}>
+            <div style={{ maxHeight: 180, overflowY: "auto", borderRadius: 8, border: `1px solid ${theme.divider}` }}>
               {[...sortedEntries].reverse().slice(0, 20).map((e, i) => {
                 const idx = sortedEntries.findIndex((x) => x.date === e.date);
                 const prev = idx > 0 ? sortedEntries[idx - 1] : null;
-                const change = prev ? e.balance - prev.balance : null;
+                // Day-over-day P&L, excluding that day's deposit/withdrawal
+                const change = prev ? e.balance - prev.balance - e.flow : null;
                 const pos = change !== null && change >= 0;
                 return (
-                  <div key={e.date} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "7px 12px", borderBottom: i < 19 ? "1px solid #1a1a24" : "none", background: i % 2 === 0 ? "#111118" : "#0e0e14" }}>
-                    <span style={{ color: "#666", fontSize: 12, fontFamily: "'Courier New',monospace" }}>{formatDatePretty(e.date)}</span>
+                  <div key={e.date} onClick={publicMode ? undefined : () => editEntry(e.date)} title={publicMode ? undefined : "Edit this entry"}
+                    role={publicMode ? undefined : "button"} tabIndex={publicMode ? undefined : 0}
+                    onKeyDown={publicMode ? undefined : onActivate(() => editEntry(e.date))}
+                    style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, padding: "7px 12px", borderBottom: i < 19 ? `1px solid ${theme.control}` : "none", background: i % 2 === 0 ? theme.panel : theme.page, cursor: publicMode ? "default" : "pointer" }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 10, minWidth: 0 }}>
+                      <span style={{ color: theme.subtle, fontSize: 12, fontFamily: "'Courier New',monospace" }}>{formatDatePretty(e.date)}</span>
+                      {e.local && !publicMode && <span style={{ fontSize: 10, color: theme.purple }}>edited</span>}
+                      {e.conflict && !publicMode && (
+                        <span style={{ fontSize: 10, color: theme.orange }} title="The sheet changed after this entry was edited">
+                          ⚠ sheet {e.conflict === true ? "changed" : e.conflict.balance === null ? "has no row" : money(e.conflict.balance)}
+                        </span>
+                      )}
+                      {e.note && (
+                        <span style={{ fontSize: 11, color: theme.muted, fontStyle: "italic", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{e.note}</span>
+                      )}
+                    </div>
                     <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
-                      {change !== null && (
-                        <span style={{ fontSize: 11, color: pos ? "#4caf7c" : "#e05555" }}>
-                          {pos ? "+" : ""}${fmt(change)}
+                      {prev && e.flow !== 0 && (
+                        <span style={{ fontSize: 11, color: e.flow > 0 ? theme.blue : theme.orange }}>
+                          {publicMode ? (e.flow > 0 ? "deposit" : "withdrawal") : `${e.flow > 0 ? "dep" : "wd"} ${money(e.flow, { signed: true })}`}
+                        </span>
+                      )}
+                      {change !== null && !publicMode && (
+                        <span style={{ fontSize: 11, color: pos ? theme.gain : theme.loss }}>
+                          {trendMark(change)}{money(change, { signed: true })}
+                        </span>
+                      )}
+                      {publicMode ? (
+                        <span style={{ color: pos ? theme.gain : theme.loss, fontSize: 13, fontWeight: 600, minWidth: 90, textAlign: "right" }}>
+                          {change !== null && prev.balance > 0 ? `${trendMark(change)}${pos ? "+" : ""}${((change / prev.balance) * 100).toFixed(2)}%` : "—"}
                         </span>
+                      ) : (
+                        <span style={{ color: theme.text, fontSize: 13, fontWeight: 600, minWidth: 90, textAlign: "right" }}>{money(e.balance)}</span>
                       )}
-                      <span style={{ color: "#e8e8e8", fontSize: 13, fontWeight: 600, minWidth: 90, textAlign: "right" }}>${fmt(e.balance)}</span>
                     </div>
                   </div>
                 );
@@ -502,6 +1278,7 @@ export default function PortfolioTracker() {
         )}
       </div>
     </div>
+    </ThemeContext.Provider>
   );
 }
 
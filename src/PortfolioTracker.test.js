@@ -0,0 +1,108 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import PortfolioTracker from "./PortfolioTracker";
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+// Recharts measures its container
+global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+
+const CSV = "Date,Balance\n2026-01-01,$1000.00\n2026-01-02,$1100.00\n2026-01-03,$1050.00\n";
+
+// Renders the tracker at `search` with the default sheet answering `CSV`
+async function render(search) {
+  window.history.replaceState(null, "", "/" + search);
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => CSV }));
+  const container = document.createElement("div");
+  const root = createRoot(container);
+  await act(async () => root.render(<PortfolioTracker />));
+  const button = (label) => [...container.querySelectorAll("button")].find((b) => b.textContent === label);
+  return { container, button, unmount: () => act(() => root.unmount()) };
+}
+
+beforeEach(() => localStorage.clear());
+afterEach(() => delete global.fetch);
+
+describe("public mode", () => {
+  test("can be switched on and off", async () => {
+    const { container, button, unmount } = await render("");
+    expect(container.textContent).toContain("$1,050.00");
+    act(() => button("Public").click());
+    expect(button("Public").getAttribute("aria-pressed")).toBe("true");
+    expect(container.textContent).not.toContain("$1,050.00");
+    act(() => button("Public").click());
+    expect(container.textContent).toContain("$1,050.00");
+    unmount();
+  });
+
+  test("a link with public=1 can't be switched back to showing amounts", async () => {
+    const { container, button, unmount } = await render("?public=1");
+    expect(button("Public")).toBeUndefined();
+    expect(container.textContent).not.toMatch(/\$[\d,]+\.\d\d/);
+    expect(window.location.search).toBe("?public=1");
+    unmount();
+  });
+
+  test("a public link gives an amount goal as a multiple", async () => {
+    localStorage.setItem("portfolioTracker.goal", JSON.stringify({ targetType: "amount", targetAmount: 5000 }));
+    const { unmount } = await render("?public=1");
+    const goal = JSON.parse(new URLSearchParams(window.location.search).get("goal"));
+    expect(goal).toEqual({ targetMultiple: 5 });
+    unmount();
+  });
+});
+
+describe("shared links", () => {
+  test("open in the link's display currency and goal without saving them", async () => {
+    localStorage.setItem("portfolioTracker.goal", JSON.stringify({ title: "Mine" }));
+    const goal = encodeURIComponent(JSON.stringify({ title: "Theirs" }));
+    const { container, unmount } = await render(`?view=100x&currency=EUR&goal=${goal}`);
+    expect(container.textContent).toContain("€892.50");
+    expect(container.textContent).toContain("Theirs");
+    expect(new URLSearchParams(window.location.search).get("currency")).toBe("EUR");
+    expect(JSON.parse(localStorage.getItem("portfolioTracker.goal"))).toEqual({ title: "Mine" });
+    expect(localStorage.getItem("portfolioTracker.currency")).toBeNull();
+    unmount();
+  });
+});
+
+describe("benchmark", () => {
+  test("says where the bundled index ends instead of flat-lining past it", async () => {
+    localStorage.setItem("portfolioTracker.benchmark", JSON.stringify({ type: "bundled" }));
+    const { container, unmount } = await render("");
+    expect(container.textContent).toContain("benchmark data ends Aug 29, 2025");
+    expect(container.textContent).not.toContain("vs S&P 500");
+    unmount();
+  });
+});
+
+describe("alerts", () => {
+  afterEach(() => delete window.Notification);
+
+  test("fall back to banners when the browser can't notify from the page", async () => {
+    window.Notification = class {
+      static permission = "granted";
+      constructor() { throw new TypeError("Illegal constructor"); }
+    };
+    localStorage.setItem("portfolioTracker.alerts", JSON.stringify({
+      rules: [{ id: "milestone-1", type: "milestone", value: 1, enabled: true }],
+      notify: true,
+    }));
+    const { container, unmount } = await render("");
+    expect(container.querySelector('[role="alert"]').textContent).toContain("The challenge reached 1x");
+    unmount();
+  });
+
+  test("aren't raised while public mode hides them", async () => {
+    const { container, unmount } = await render("?public=1");
+    expect(container.querySelector('[role="alert"]')).toBeNull();
+    expect(localStorage.getItem("portfolioTracker.alertKeys")).toBeNull();
+    unmount();
+  });
+
+  test("name the series their rules are checked against", async () => {
+    const { container, button, unmount } = await render("");
+    act(() => button("Alerts (1)").click());
+    expect(container.textContent).toContain("Checked against Main, whichever account is on screen");
+    unmount();
+  });
+});
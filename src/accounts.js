@@ -0,0 +1,55 @@
+// Combining several named balance series (accounts) into one.
+
+// Key of the combined series in the account switcher
+export const ALL_ACCOUNTS = "__all__";
+
+// Sums the accounts into a single series over the union of their dates.
+// Each account's balance is forward-filled until its next entry, so a date
+// missing from one account doesn't read as that account dropping to zero.
+// An account opening after the first date is counted as a deposit of its
+// opening balance, so the aggregate's returns aren't inflated by it.
+// Notes on a date are kept, prefixed with their account's name, and a date
+// is `local` or in `conflict` (see journal.js) when any account's entry is.
+export function aggregateAccounts(accounts) {
+  const names = [];
+  const series = accounts
+    .filter((a) => a.entries.length > 0)
+    .map((a) => {
+      names.push(a.name);
+      return [...a.entries].sort((x, y) => x.date.localeCompare(y.date));
+    });
+  if (!series.length) return [];
+
+  const dates = [...new Set(series.flatMap((entries) => entries.map((e) => e.date)))].sort();
+  const cursor = series.map(() => 0);
+  const last = series.map(() => null);
+  const result = [];
+
+  dates.forEach((date, di) => {
+    let flow = 0, local = false, conflict = false;
+    const notes = [];
+    series.forEach((entries, si) => {
+      let entry = null;
+      // A repeated date within one account: the last row wins
+      while (cursor[si] < entries.length && entries[cursor[si]].date === date) {
+        entry = entries[cursor[si]];
+        cursor[si]++;
+      }
+      if (!entry) return;
+      if (entry.note) notes.push(series.length > 1 ? `${names[si]}: ${entry.note}` : entry.note);
+      local = local || !!entry.local;
+      conflict = conflict || !!entry.conflict;
+      if (last[si] === null) flow += di > 0 ? entry.balance : 0;
+      else flow += entry.flow || 0;
+      last[si] = entry.balance;
+    });
+
+    const balance = last.reduce((sum, b) => sum + (b ?? 0), 0);
+    const row = { date, balance, flow };
+    if (notes.length) row.note = notes.join(" · ");
+    if (local) row.local = true;
+    if (conflict) row.conflict = true;
+    result.push(row);
+  });
+  return result;
+}
@@ -0,0 +1,67 @@
+import { aggregateAccounts } from "./accounts";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+
+describe("aggregateAccounts", () => {
+  test("returns an empty series without accounts or entries", () => {
+    expect(aggregateAccounts([])).toEqual([]);
+    expect(aggregateAccounts([{ name: "A", entries: [] }])).toEqual([]);
+  });
+
+  test("passes a single account through", () => {
+    const entries = [e("2026-01-01", 100), e("2026-01-02", 110, 5)];
+    expect(aggregateAccounts([{ name: "A", entries }])).toEqual(entries);
+  });
+
+  test("forward-fills dates missing from one account", () => {
+    const result = aggregateAccounts([
+      { name: "Broker", entries: [e("2026-01-01", 100), e("2026-01-03", 120)] },
+      { name: "Crypto", entries: [e("2026-01-01", 50), e("2026-01-02", 60)] },
+    ]);
+    expect(result).toEqual([
+      e("2026-01-01", 150),
+      e("2026-01-02", 160),
+      e("2026-01-03", 180),
+    ]);
+  });
+
+  test("counts a later-opened account as a deposit", () => {
+    const result = aggregateAccounts([
+      { name: "Broker", entries: [e("2026-01-01", 100), e("2026-01-02", 100)] },
+      { name: "Savings", entries: [e("2026-01-02", 500), e("2026-01-03", 510, 10)] },
+    ]);
+    expect(result).toEqual([
+      e("2026-01-01", 100),
+      e("2026-01-02", 600, 500),
+      e("2026-01-03", 610, 10),
+    ]);
+  });
+
+  test("sorts unsorted input and keeps the last row of a repeated date", () => {
+    const result = aggregateAccounts([
+      { name: "A", entries: [e("2026-01-02", 90), e("2026-01-01", 100), e("2026-01-02", 95)] },
+    ]);
+    expect(result).toEqual([e("2026-01-01", 100), e("2026-01-02", 95)]);
+  });
+
+  test("keeps notes, naming their account when there are several", () => {
+    const result = aggregateAccounts([
+      { name: "Broker", entries: [e("2026-01-01", 100), { ...e("2026-01-02", 120), note: "took profit" }] },
+      { name: "Crypto", entries: [e("2026-01-01", 50)] },
+    ]);
+    expect(result[0].note).toBeUndefined();
+    expect(result[1].note).toBe("Broker: took profit");
+  });
+
+  test("marks a date edited or in conflict in any account", () => {
+    const result = aggregateAccounts([
+      { name: "Broker", entries: [e("2026-01-01", 100), { ...e("2026-01-02", 120), local: true, conflict: { balance: 118, flow: 0 } }] },
+      { name: "Crypto", entries: [e("2026-01-01", 50), { ...e("2026-01-03", 60), local: true, note: "moved exchange" }] },
+    ]);
+    expect(result).toEqual([
+      e("2026-01-01", 150),
+      { ...e("2026-01-02", 170), local: true, conflict: true },
+      { ...e("2026-01-03", 180), local: true, note: "Crypto: moved exchange" },
+    ]);
+  });
+});
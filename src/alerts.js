@@ -0,0 +1,167 @@
+// Alert rules checked against the balance series whenever it loads, and the
+// history of alerts raised. A rule is `{ id, type, value, enabled }`:
+//   milestone  the challenge multiple reached `value` (e.g. 2 for 2x), once
+//              per goal start date
+//   dailyLoss  the latest entry lost more than `value` percent
+//   drawdown   the balance sits more than `value` percent below its high
+//   stale      no new entry for `value` days
+//
+// Every alert has a `key` naming the event it is about, so an event that
+// was already raised isn't raised again on the next load. The keys raised
+// are kept apart from the history, which is trimmed, so an event dropped
+// from the history (or cleared from it) stays raised. Keys start with their
+// rule's `type:value:` and are forgotten once no rule matches them.
+
+import { periodReturns, currentDrawdown, daysBetween } from "./analytics";
+import { formatMultiple } from "./goal";
+import { formatDateLong } from "./format";
+
+const SETTINGS_KEY = "portfolioTracker.alerts";
+const HISTORY_KEY = "portfolioTracker.alertHistory";
+const RAISED_KEY = "portfolioTracker.alertKeys";
+
+// Oldest alerts are dropped past this many
+export const HISTORY_LIMIT = 100;
+
+export const ALERT_TYPES = [
+  { id: "milestone", label: "Challenge reaches", unit: "x" },
+  { id: "dailyLoss", label: "Loss in one entry over", unit: "%" },
+  { id: "drawdown", label: "Drawdown from high over", unit: "%" },
+  { id: "stale", label: "No new entry for", unit: "days" },
+];
+
+export const DEFAULT_ALERT_SETTINGS = {
+  rules: [
+    { id: "milestone-1", type: "milestone", value: 2, enabled: true },
+    { id: "dailyLoss-1", type: "dailyLoss", value: 5, enabled: true },
+    { id: "drawdown-1", type: "drawdown", value: 20, enabled: true },
+    { id: "stale-1", type: "stale", value: 7, enabled: true },
+  ],
+  notify: false, // also show browser notifications
+};
+
+function localToday() {
+  const d = new Date();
+  return d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+}
+
+// The alert a single rule raises for the series, or null. `multiple` is the
+// challenge's current multiple, `goalStart` the date it is counted from and
+// `today` a "YYYY-MM-DD" date.
+function checkRule(rule, sortedEntries, { multiple, goalStart, today }) {
+  const last = sortedEntries[sortedEntries.length - 1];
+  const alert = (event, message) => ({ key: `${rule.type}:${rule.value}:${event}`, ruleId: rule.id, type: rule.type, date: last.date, message });
+
+  switch (rule.type) {
+    case "milestone":
+      // A goal restarted on another date can reach the same multiple again
+      return multiple >= rule.value ? alert(goalStart, `The challenge reached ${formatMultiple(rule.value)}`) : null;
+    case "dailyLoss": {
+      const rets = periodReturns(sortedEntries);
+      const latest = rets[rets.length - 1];
+      if (!latest || latest.date !== last.date || -latest.ret * 100 <= rule.value) return null;
+      return alert(latest.date, `Lost ${(-latest.ret * 100).toFixed(2)}% on ${formatDateLong(latest.date)}`);
+    }
+    case "drawdown": {
+      const { drawdown, athDate } = currentDrawdown(sortedEntries);
+      if (-drawdown * 100 <= rule.value) return null;
+      // Raised once per fall from a given high
+      return alert(athDate, `${(-drawdown * 100).toFixed(2)}% below the high of ${formatDateLong(athDate)}`);
+    }
+    case "stale": {
+      const days = daysBetween(last.date, today);
+      if (days < rule.value) return null;
+      return alert(last.date, `No new entry for ${days} days (last on ${formatDateLong(last.date)})`);
+    }
+    default:
+      return null;
+  }
+}
+
+// Alerts the enabled rules raise for the series
+export function checkAlerts(sortedEntries, rules, { multiple = 0, goalStart = sortedEntries[0]?.date, today = localToday() } = {}) {
+  if (!sortedEntries.length) return [];
+  return rules
+    .filter((r) => r.enabled && r.value > 0)
+    .map((r) => checkRule(r, sortedEntries, { multiple, goalStart, today }))
+    .filter(Boolean);
+}
+
+// The alerts whose keys haven't been raised yet
+export function newAlerts(alerts, raisedKeys) {
+  const seen = new Set(raisedKeys);
+  return alerts.filter((a) => !seen.has(a.key));
+}
+
+// The raised keys with the alerts' keys added, dropping those of rules no
+// longer in `rules` so the list doesn't grow with every rule ever tried
+export function addRaised(raisedKeys, alerts, rules) {
+  const kept = raisedKeys.filter((key) => rules.some((r) => key.startsWith(`${r.type}:${r.value}:`)));
+  return [...kept, ...alerts.map((a) => a.key)];
+}
+
+// Adds alerts to the front of the history, stamped with when they were raised
+export function addToHistory(history, alerts, raisedAt) {
+  return [...alerts.map((a) => ({ ...a, raisedAt })), ...history].slice(0, HISTORY_LIMIT);
+}
+
+// Hides every alert in the history from the list. They stay in it, marked
+// `cleared`; the events they were about stay in the raised keys.
+export function clearHistory(history) {
+  return history.map((a) => ({ ...a, cleared: true }));
+}
+
+export function loadAlertSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && Array.isArray(saved.rules)) return { ...DEFAULT_ALERT_SETTINGS, ...saved };
+  } catch (e) {
+    // Unreadable settings fall back to the default rules
+  }
+  return DEFAULT_ALERT_SETTINGS;
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Storage full or unavailable: the rules still apply for this session
+  }
+}
+
+export function loadAlertHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    // Unreadable history starts over
+  }
+  return [];
+}
+
+export function saveAlertHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (e) {
+    // Storage full or unavailable: the history is kept for this session
+  }
+}
+
+// Without saved keys, the ones in an existing history count as raised
+export function loadRaisedKeys() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RAISED_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch (e) {
+    // Unreadable keys are rebuilt from the history
+  }
+  return loadAlertHistory().map((a) => a.key);
+}
+
+export function saveRaisedKeys(keys) {
+  try {
+    localStorage.setItem(RAISED_KEY, JSON.stringify(keys));
+  } catch (e) {
+    // Storage full or unavailable: the keys are kept for this session
+  }
+}
@@ -0,0 +1,137 @@
+import {
+  checkAlerts,
+  newAlerts,
+  addToHistory,
+  clearHistory,
+  addRaised,
+  loadAlertSettings,
+  saveAlertSettings,
+  loadAlertHistory,
+  saveAlertHistory,
+  loadRaisedKeys,
+  saveRaisedKeys,
+  DEFAULT_ALERT_SETTINGS,
+  HISTORY_LIMIT,
+} from "./alerts";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+const rule = (type, value, enabled = true) => ({ id: type, type, value, enabled });
+
+const SERIES = [e("2026-01-01", 100), e("2026-01-02", 200), e("2026-01-03", 150), e("2026-01-04", 135)];
+
+describe("checkAlerts", () => {
+  test("milestone once the multiple is reached", () => {
+    const [alert] = checkAlerts(SERIES, [rule("milestone", 2)], { multiple: 2.1, today: "2026-01-04" });
+    expect(alert).toMatchObject({ key: "milestone:2:2026-01-01", type: "milestone", message: "The challenge reached 2x" });
+    expect(checkAlerts(SERIES, [rule("milestone", 2)], { multiple: 1.9, today: "2026-01-04" })).toEqual([]);
+  });
+
+  test("a goal started on another date reaches a milestone anew", () => {
+    const options = { multiple: 2.1, today: "2026-01-04" };
+    const [first] = checkAlerts(SERIES, [rule("milestone", 2)], { ...options, goalStart: "2026-01-01" });
+    const [restarted] = checkAlerts(SERIES, [rule("milestone", 2)], { ...options, goalStart: "2026-01-03" });
+    expect(restarted.key).toBe("milestone:2:2026-01-03");
+    expect(newAlerts([restarted], addRaised([], [first], [rule("milestone", 2)]))).toEqual([restarted]);
+  });
+
+  test("daily loss on the latest entry only", () => {
+    const [alert] = checkAlerts(SERIES, [rule("dailyLoss", 5)], { today: "2026-01-04" });
+    expect(alert.key).toBe("dailyLoss:5:2026-01-04");
+    expect(alert.message).toMatch(/^Lost 10\.00% on Jan 4, 2026/);
+    expect(checkAlerts(SERIES, [rule("dailyLoss", 15)], { today: "2026-01-04" })).toEqual([]);
+  });
+
+  test("a withdrawal isn't a loss", () => {
+    const series = [e("2026-01-01", 100), e("2026-01-02", 50, -50)];
+    expect(checkAlerts(series, [rule("dailyLoss", 5), rule("drawdown", 5)], { today: "2026-01-02" })).toEqual([]);
+  });
+
+  test("drawdown is keyed by the high it fell from", () => {
+    const [alert] = checkAlerts(SERIES, [rule("drawdown", 20)], { today: "2026-01-04" });
+    expect(alert.key).toBe("drawdown:20:2026-01-02");
+    expect(alert.message).toBe("32.50% below the high of Jan 2, 2026");
+    expect(checkAlerts(SERIES, [rule("drawdown", 40)], { today: "2026-01-04" })).toEqual([]);
+  });
+
+  test("stale after N days without an entry", () => {
+    const [alert] = checkAlerts(SERIES, [rule("stale", 7)], { today: "2026-01-11" });
+    expect(alert).toMatchObject({ key: "stale:7:2026-01-04", message: "No new entry for 7 days (last on Jan 4, 2026)" });
+    expect(checkAlerts(SERIES, [rule("stale", 7)], { today: "2026-01-10" })).toEqual([]);
+  });
+
+  test("skips disabled rules, empty series and a single entry", () => {
+    expect(checkAlerts(SERIES, [rule("drawdown", 20, false)], { today: "2026-01-04" })).toEqual([]);
+    expect(checkAlerts([], DEFAULT_ALERT_SETTINGS.rules, { today: "2026-01-04" })).toEqual([]);
+    expect(checkAlerts([e("2026-01-04", 100)], [rule("dailyLoss", 1), rule("drawdown", 1)], { today: "2026-01-04" })).toEqual([]);
+  });
+});
+
+describe("history", () => {
+  const rules = [rule("dailyLoss", 5), rule("drawdown", 20)];
+  const alerts = checkAlerts(SERIES, rules, { today: "2026-01-04" });
+
+  test("only new events are raised again", () => {
+    const history = addToHistory([], alerts.slice(0, 1), 1000);
+    expect(history[0]).toMatchObject({ key: alerts[0].key, raisedAt: 1000 });
+    expect(newAlerts(alerts, addRaised([], alerts.slice(0, 1), rules))).toEqual(alerts.slice(1));
+  });
+
+  test("cleared alerts are hidden but stay raised", () => {
+    const cleared = clearHistory(addToHistory([], alerts, 1000));
+    expect(cleared.every((a) => a.cleared)).toBe(true);
+    expect(newAlerts(alerts, addRaised([], alerts, rules))).toEqual([]);
+  });
+
+  test("forgets the keys of rules that were removed or changed", () => {
+    const raised = ["milestone:2:2026-01-01", "dailyLoss:3:2026-01-02", alerts[1].key];
+    expect(addRaised(raised, alerts.slice(0, 1), rules)).toEqual([alerts[1].key, alerts[0].key]);
+  });
+
+  test("keeps the newest alerts up to the limit", () => {
+    const many = Array.from({ length: HISTORY_LIMIT + 5 }, (_, i) => ({ key: `k${i}`, message: "" }));
+    const history = addToHistory([{ key: "old" }], many, 1);
+    expect(history).toHaveLength(HISTORY_LIMIT);
+    expect(history[0].key).toBe("k0");
+  });
+
+  test("an alert dropped from the history isn't raised again", () => {
+    let history = [], raised = [];
+    const raise = (found) => {
+      const fresh = newAlerts(found, raised);
+      raised = addRaised(raised, fresh, [...rules, rule("stale", 1)]);
+      history = addToHistory(history, fresh, 1);
+      return fresh;
+    };
+    expect(raise([alerts[0]])).toEqual([alerts[0]]);
+    raise(Array.from({ length: HISTORY_LIMIT }, (_, i) => ({ key: `stale:1:k${i}`, message: "" })));
+    expect(history.some((a) => a.key === alerts[0].key)).toBe(false);
+    expect(raise([alerts[0]])).toEqual([]);
+  });
+});
+
+describe("storage", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("settings round-trip and fall back to the defaults", () => {
+    expect(loadAlertSettings()).toBe(DEFAULT_ALERT_SETTINGS);
+    const settings = { rules: [rule("stale", 3)], notify: true };
+    saveAlertSettings(settings);
+    expect(loadAlertSettings()).toEqual(settings);
+    localStorage.setItem("portfolioTracker.alerts", "{");
+    expect(loadAlertSettings()).toBe(DEFAULT_ALERT_SETTINGS);
+  });
+
+  test("history round-trips", () => {
+    expect(loadAlertHistory()).toEqual([]);
+    saveAlertHistory([{ key: "a", raisedAt: 1 }]);
+    expect(loadAlertHistory()).toEqual([{ key: "a", raisedAt: 1 }]);
+  });
+
+  test("raised keys round-trip, starting from the history's", () => {
+    expect(loadRaisedKeys()).toEqual([]);
+    saveAlertHistory([{ key: "a", raisedAt: 1 }, { key: "b", raisedAt: 1, cleared: true }]);
+    expect(loadRaisedKeys()).toEqual(["a", "b"]);
+    saveRaisedKeys(["a", "b", "c"]);
+    expect(loadRaisedKeys()).toEqual(["a", "b", "c"]);
+  });
+});
@@ -0,0 +1,176 @@
+// Risk and performance statistics of a balance series. Entries are
+// `{ date: "YYYY-MM-DD", balance, flow }` sorted by date; returns are
+// cash-flow adjusted, so deposits and withdrawals never count as gains.
+
+const DAY_MS = 86400000;
+
+function toTime(date) {
+  return new Date(date + "T00:00:00Z").getTime();
+}
+
+export function daysBetween(from, to) {
+  return Math.round((toTime(to) - toTime(from)) / DAY_MS);
+}
+
+// Monday of the week containing `date`, used as the week's key
+export function weekKey(date) {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// Return of each entry over the one before it, with that entry's cash flow
+// backed out of its balance.
+export function periodReturns(entries) {
+  const returns = [];
+  for (let i = 1; i < entries.length; i++) {
+    const prev = entries[i - 1].balance;
+    if (prev <= 0) continue;
+    const e = entries[i];
+    returns.push({ date: e.date, ret: (e.balance - (e.flow || 0)) / prev - 1 });
+  }
+  return returns;
+}
+
+// Growth of 1 unit invested at the first entry
+export function wealthIndex(entries) {
+  if (!entries.length) return [];
+  const index = [{ date: entries[0].date, value: 1 }];
+  periodReturns(entries).forEach(({ date, ret }) => {
+    index.push({ date, value: index[index.length - 1].value * (1 + ret) });
+  });
+  return index;
+}
+
+// Fraction below the running all-time high at each entry (<= 0), with the
+// date that high was set. `isNewHigh` marks entries that set a new high.
+export function drawdownSeries(entries) {
+  let ath = null;
+  return wealthIndex(entries).map((p) => {
+    const isNewHigh = !!ath && p.value > ath.value;
+    if (!ath || p.value >= ath.value) ath = p;
+    return { date: p.date, drawdown: p.value / ath.value - 1, athDate: ath.date, isNewHigh };
+  });
+}
+
+// Deepest fall from a running peak, as a fraction <= 0
+export function maxDrawdown(entries) {
+  let peak = null, worst = { drawdown: 0, peakDate: null, troughDate: null };
+  wealthIndex(entries).forEach((p) => {
+    if (!peak || p.value >= peak.value) peak = p;
+    const dd = p.value / peak.value - 1;
+    if (dd < worst.drawdown) worst = { drawdown: dd, peakDate: peak.date, troughDate: p.date };
+  });
+  return worst;
+}
+
+// How far the latest entry sits below the all-time high
+export function currentDrawdown(entries) {
+  const index = wealthIndex(entries);
+  if (!index.length) return { drawdown: 0, athDate: null };
+  const ath = index.reduce((best, p) => (p.value >= best.value ? p : best));
+  return { drawdown: index[index.length - 1].value / ath.value - 1, athDate: ath.date };
+}
+
+// Average number of entries per year, from the spacing between them
+export function periodsPerYear(entries) {
+  if (entries.length < 2) return 0;
+  const days = daysBetween(entries[0].date, entries[entries.length - 1].date);
+  return days > 0 ? (365 * (entries.length - 1)) / days : 0;
+}
+
+const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+function stdDev(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+export function annualizedVolatility(entries) {
+  const rets = periodReturns(entries).map((r) => r.ret);
+  return stdDev(rets) * Math.sqrt(periodsPerYear(entries));
+}
+
+// Sharpe and Sortino ratios, annualized. `riskFreeRate` is a yearly rate
+// (0.04 = 4%). Null when there isn't enough data or no variation.
+export function riskAdjustedRatios(entries, riskFreeRate = 0) {
+  const rets = periodReturns(entries).map((r) => r.ret);
+  const ppy = periodsPerYear(entries);
+  if (rets.length < 2 || ppy === 0) return { sharpe: null, sortino: null };
+
+  const excess = rets.map((r) => r - riskFreeRate / ppy);
+  const avg = mean(excess);
+  const sd = stdDev(rets);
+  const downside = Math.sqrt(mean(excess.map((x) => Math.min(0, x) ** 2)));
+  return {
+    sharpe: sd > 0 ? (avg / sd) * Math.sqrt(ppy) : null,
+    sortino: downside > 0 ? (avg / downside) * Math.sqrt(ppy) : null,
+  };
+}
+
+// Compound annual growth rate of the time-weighted return
+export function cagr(entries) {
+  const index = wealthIndex(entries);
+  if (index.length < 2) return null;
+  const days = daysBetween(index[0].date, index[index.length - 1].date);
+  if (days <= 0) return null;
+  return Math.pow(index[index.length - 1].value, 365 / days) - 1;
+}
+
+// Compounds entry returns into buckets (e.g. weeks or months). A bucket's
+// return runs from the last entry before it, like the monthly ghost baseline.
+export function bucketReturns(entries, keyOf) {
+  const buckets = [];
+  periodReturns(entries).forEach(({ date, ret }) => {
+    const key = keyOf(date);
+    const last = buckets[buckets.length - 1];
+    if (last && last.key === key) last.ret = (1 + last.ret) * (1 + ret) - 1;
+    else buckets.push({ key, ret });
+  });
+  return buckets;
+}
+
+function bestAndWorst(items) {
+  if (!items.length) return { best: null, worst: null };
+  return {
+    best: items.reduce((a, b) => (b.ret > a.ret ? b : a)),
+    worst: items.reduce((a, b) => (b.ret < a.ret ? b : a)),
+  };
+}
+
+// Longest runs of consecutive gains and losses (flat entries break a run)
+export function streaks(entries) {
+  const longest = { winning: null, losing: null };
+  let run = null;
+  periodReturns(entries).forEach(({ date, ret }) => {
+    const kind = ret > 0 ? "winning" : ret < 0 ? "losing" : null;
+    if (run && run.kind === kind) {
+      run.length++;
+      run.end = date;
+    } else {
+      run = kind ? { kind, length: 1, start: date, end: date } : null;
+    }
+    if (run && (!longest[kind] || run.length > longest[kind].length)) {
+      longest[kind] = { length: run.length, start: run.start, end: run.end };
+    }
+  });
+  return longest;
+}
+
+// Everything the analytics panel shows
+export function computeAnalytics(entries, { riskFreeRate = 0 } = {}) {
+  // Each entry's change since the one before, however many days apart
+  const perEntry = periodReturns(entries).map(({ date, ret }) => ({ key: date, ret }));
+  return {
+    maxDrawdown: maxDrawdown(entries),
+    currentDrawdown: currentDrawdown(entries),
+    volatility: annualizedVolatility(entries),
+    ...riskAdjustedRatios(entries, riskFreeRate),
+    cagr: cagr(entries),
+    entry: bestAndWorst(perEntry),
+    week: bestAndWorst(bucketReturns(entries, weekKey)),
+    month: bestAndWorst(bucketReturns(entries, (date) => date.slice(0, 7))),
+    streaks: streaks(entries),
+  };
+}
@@ -0,0 +1,174 @@
+import {
+  periodReturns,
+  wealthIndex,
+  drawdownSeries,
+  maxDrawdown,
+  currentDrawdown,
+  periodsPerYear,
+  annualizedVolatility,
+  riskAdjustedRatios,
+  cagr,
+  bucketReturns,
+  weekKey,
+  streaks,
+  computeAnalytics,
+} from "./analytics";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+
+const SERIES = [
+  e("2026-01-01", 100),
+  e("2026-01-02", 110),
+  e("2026-01-03", 121),
+  e("2026-01-04", 96.8),
+  e("2026-01-05", 72.6),
+  e("2026-01-06", 145.2),
+];
+
+describe("returns", () => {
+  test("backs deposits and withdrawals out of period returns", () => {
+    const rets = periodReturns([e("2026-01-01", 100), e("2026-01-02", 160, 50), e("2026-01-03", 128, -40)]);
+    expect(rets.map((r) => r.ret)).toEqual([expect.closeTo(0.1), expect.closeTo(0.05)]);
+  });
+
+  test("skips periods starting from a zero balance", () => {
+    expect(periodReturns([e("2026-01-01", 0), e("2026-01-02", 10)])).toEqual([]);
+  });
+
+  test("chains returns into a wealth index", () => {
+    const index = wealthIndex(SERIES);
+    expect(index[0]).toEqual({ date: "2026-01-01", value: 1 });
+    expect(index[5].value).toBeCloseTo(1.452);
+  });
+});
+
+describe("drawdown", () => {
+  test("tracks the distance below the running high", () => {
+    expect(drawdownSeries(SERIES)).toEqual([
+      { date: "2026-01-01", drawdown: 0, athDate: "2026-01-01", isNewHigh: false },
+      { date: "2026-01-02", drawdown: 0, athDate: "2026-01-02", isNewHigh: true },
+      { date: "2026-01-03", drawdown: 0, athDate: "2026-01-03", isNewHigh: true },
+      { date: "2026-01-04", drawdown: expect.closeTo(-0.2), athDate: "2026-01-03", isNewHigh: false },
+      { date: "2026-01-05", drawdown: expect.closeTo(-0.4), athDate: "2026-01-03", isNewHigh: false },
+      { date: "2026-01-06", drawdown: 0, athDate: "2026-01-06", isNewHigh: true },
+    ]);
+  });
+
+  test("does not count a deposit as a new high", () => {
+    const dd = drawdownSeries([e("2026-01-01", 100), e("2026-01-02", 90), e("2026-01-03", 190, 100)]);
+    expect(dd[2]).toEqual({ date: "2026-01-03", drawdown: expect.closeTo(-0.1), athDate: "2026-01-01", isNewHigh: false });
+  });
+
+  test("finds the deepest peak-to-trough fall", () => {
+    expect(maxDrawdown(SERIES)).toEqual({
+      drawdown: expect.closeTo(-0.4),
+      peakDate: "2026-01-03",
+      troughDate: "2026-01-05",
+    });
+  });
+
+  test("is zero for a series that never falls", () => {
+    expect(maxDrawdown(SERIES.slice(0, 3)).drawdown).toBe(0);
+    expect(currentDrawdown(SERIES)).toEqual({ drawdown: 0, athDate: "2026-01-06" });
+  });
+
+  test("measures the current distance below the high", () => {
+    expect(currentDrawdown(SERIES.slice(0, 4))).toEqual({
+      drawdown: expect.closeTo(-0.2),
+      athDate: "2026-01-03",
+    });
+  });
+
+  test("handles empty and single-entry series", () => {
+    expect(maxDrawdown([])).toEqual({ drawdown: 0, peakDate: null, troughDate: null });
+    expect(currentDrawdown([])).toEqual({ drawdown: 0, athDate: null });
+    expect(currentDrawdown([e("2026-01-01", 5)])).toEqual({ drawdown: 0, athDate: "2026-01-01" });
+  });
+});
+
+describe("volatility and ratios", () => {
+  test("annualizes from the spacing between entries", () => {
+    expect(periodsPerYear(SERIES)).toBeCloseTo(365);
+    expect(periodsPerYear([e("2026-01-01", 1), e("2026-01-08", 1), e("2026-01-15", 1)])).toBeCloseTo(365 / 7);
+  });
+
+  test("is zero for a constant return", () => {
+    const steady = [e("2026-01-01", 100), e("2026-01-02", 101), e("2026-01-03", 102.01)];
+    expect(annualizedVolatility(steady)).toBeCloseTo(0);
+    expect(riskAdjustedRatios(steady)).toEqual({ sharpe: null, sortino: null });
+  });
+
+  test("lowers Sharpe and Sortino as the risk-free rate rises", () => {
+    const base = riskAdjustedRatios(SERIES, 0);
+    const withRf = riskAdjustedRatios(SERIES, 0.5);
+    expect(base.sharpe).toBeGreaterThan(withRf.sharpe);
+    expect(base.sortino).toBeGreaterThan(withRf.sortino);
+  });
+
+  test("needs at least two returns", () => {
+    expect(riskAdjustedRatios(SERIES.slice(0, 2))).toEqual({ sharpe: null, sortino: null });
+  });
+});
+
+describe("cagr", () => {
+  test("annualizes the time-weighted growth", () => {
+    expect(cagr([e("2025-01-01", 100), e("2026-01-01", 150)])).toBeCloseTo(0.5);
+    expect(cagr([e("2024-01-01", 100), e("2025-12-31", 300, 100)])).toBeCloseTo(Math.SQRT2 - 1);
+  });
+
+  test("is null without a time span", () => {
+    expect(cagr([e("2026-01-01", 100)])).toBeNull();
+  });
+});
+
+describe("buckets", () => {
+  test("keys weeks by their Monday, across a year boundary", () => {
+    expect(weekKey("2026-01-01")).toBe("2025-12-29");
+    expect(weekKey("2025-12-29")).toBe("2025-12-29");
+    expect(weekKey("2026-01-04")).toBe("2025-12-29");
+    expect(weekKey("2026-01-05")).toBe("2026-01-05");
+  });
+
+  test("compounds months from the last entry of the month before", () => {
+    const months = bucketReturns(
+      [e("2025-12-31", 100), e("2026-01-10", 110), e("2026-01-31", 121), e("2026-02-02", 60.5)],
+      (date) => date.slice(0, 7)
+    );
+    expect(months).toEqual([
+      { key: "2026-01", ret: expect.closeTo(0.21) },
+      { key: "2026-02", ret: expect.closeTo(-0.5) },
+    ]);
+  });
+});
+
+describe("streaks", () => {
+  test("finds the longest winning and losing runs", () => {
+    expect(streaks(SERIES)).toEqual({
+      winning: { length: 2, start: "2026-01-02", end: "2026-01-03" },
+      losing: { length: 2, start: "2026-01-04", end: "2026-01-05" },
+    });
+  });
+
+  test("lets a flat entry break a run", () => {
+    const s = streaks([e("2026-01-01", 1), e("2026-01-02", 2), e("2026-01-03", 2), e("2026-01-04", 3)]);
+    expect(s.winning.length).toBe(1);
+    expect(s.losing).toBeNull();
+  });
+});
+
+describe("computeAnalytics", () => {
+  test("reports best and worst entry, week and month", () => {
+    const a = computeAnalytics(SERIES);
+    expect(a.entry.best).toEqual({ key: "2026-01-06", ret: expect.closeTo(1) });
+    expect(a.entry.worst).toEqual({ key: "2026-01-05", ret: expect.closeTo(-0.25) });
+    expect(a.week.best.key).toBe("2026-01-05");
+    expect(a.month.best).toEqual({ key: "2026-01", ret: expect.closeTo(0.452) });
+  });
+
+  test("copes with an empty series", () => {
+    const a = computeAnalytics([]);
+    expect(a.entry).toEqual({ best: null, worst: null });
+    expect(a.cagr).toBeNull();
+    expect(a.volatility).toBe(0);
+  });
+});
@@ -0,0 +1,164 @@
+// Comparing the portfolio against a benchmark series: the bundled index, an
+// index or price history from a CSV, or a savings account growing at a
+// fixed rate.
+//
+// Benchmark settings:
+//   { type: "none" }
+//   { type: "bundled" }                        BUNDLED_INDEX below
+//   { type: "savings", rate }                  rate in percent per year
+//   { type: "csv", url, name } / { type: "file", text, name }
+//                                              Date,Close rows, read by the
+//                                              same loader as account sheets
+
+import { daysBetween, periodReturns, bucketReturns } from "./analytics";
+
+const BENCHMARK_KEY = "portfolioTracker.benchmark";
+
+export const DEFAULT_BENCHMARK = { type: "none" };
+
+export const BUNDLED_INDEX_NAME = "S&P 500";
+
+// Approximate month-end closes of the S&P 500 (price only, without
+// dividends), good enough for a rough comparison. Dates after the last row
+// aren't compared; load an index history of your own for exact figures or
+// later dates.
+export const BUNDLED_INDEX = `Date,Close
+2022-12-30,3839.50
+2023-01-31,4076.60
+2023-02-28,3970.15
+2023-03-31,4109.31
+2023-04-28,4169.48
+2023-05-31,4179.83
+2023-06-30,4450.38
+2023-07-31,4588.96
+2023-08-31,4507.66
+2023-09-29,4288.05
+2023-10-31,4193.80
+2023-11-30,4567.80
+2023-12-29,4769.83
+2024-01-31,4845.65
+2024-02-29,5096.27
+2024-03-28,5254.35
+2024-04-30,5035.69
+2024-05-31,5277.51
+2024-06-28,5460.48
+2024-07-31,5522.30
+2024-08-30,5648.40
+2024-09-30,5762.48
+2024-10-31,5705.45
+2024-11-29,6032.38
+2024-12-31,5881.63
+2025-01-31,6040.53
+2025-02-28,5954.50
+2025-03-31,5611.85
+2025-04-30,5569.06
+2025-05-30,5911.69
+2025-06-30,6204.95
+2025-07-31,6339.39
+2025-08-29,6460.26`;
+
+export function loadBenchmarkSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BENCHMARK_KEY));
+    if (saved && saved.type) return saved;
+  } catch (e) {
+    // Unreadable setting: no benchmark
+  }
+  return DEFAULT_BENCHMARK;
+}
+
+export function saveBenchmarkSettings(benchmark) {
+  try {
+    localStorage.setItem(BENCHMARK_KEY, JSON.stringify(benchmark));
+  } catch (e) {
+    // Storage unavailable: the benchmark still applies for this session
+  }
+}
+
+export function benchmarkName(benchmark) {
+  if (benchmark.type === "savings") return `Savings ${benchmark.rate}%`;
+  if (benchmark.type === "bundled") return BUNDLED_INDEX_NAME;
+  return benchmark.name || "Benchmark";
+}
+
+// A savings balance compounding daily at `rate` percent a year, priced on `dates`
+export function savingsSeries(dates, rate) {
+  if (!dates.length) return [];
+  return dates.map((date) => ({
+    date,
+    balance: Math.pow(1 + rate / 100, daysBetween(dates[0], date) / 365),
+  }));
+}
+
+// Date of the benchmark's last price, or null without prices
+export function lastPriceDate(prices) {
+  return prices.reduce((last, p) => (last === null || p.date > last ? p.date : last), null);
+}
+
+// The benchmark's price on each of `dates`, carrying the last known price
+// forward between prices. Dates before the first price or after the last
+// are null: the benchmark says nothing about them.
+function pricesOn(prices, dates) {
+  const sorted = [...prices].sort((a, b) => a.date.localeCompare(b.date));
+  const end = lastPriceDate(sorted);
+  let i = -1;
+  return dates.map((date) => {
+    while (i + 1 < sorted.length && sorted[i + 1].date <= date) i++;
+    return i >= 0 && date <= end ? sorted[i].balance : null;
+  });
+}
+
+// What the portfolio would be worth had it been in the benchmark: it starts
+// from the portfolio's first balance (`effectiveStart`), follows the
+// benchmark's price, and takes the same deposits and withdrawals on the same
+// dates. Returns one value per entry, null outside the benchmark's prices.
+export function rebaseBenchmark(entries, prices) {
+  const onDates = pricesOn(prices, entries.map((e) => e.date));
+  let value = null, lastPrice = null;
+  return entries.map((e, i) => {
+    const price = onDates[i];
+    if (price === null) return null;
+    if (price <= 0) return value;
+    if (value === null) value = e.balance;
+    else value = value * (price / lastPrice) + (e.flow || 0);
+    lastPrice = price;
+    return value;
+  });
+}
+
+// Alpha (annualized), beta and excess return of the portfolio against its
+// rebased benchmark `values`, over the entries where both have a value.
+// Beta and alpha are regressed on calendar-month returns of both series: a
+// benchmark priced less often than the entries (month-end closes) would
+// otherwise read as flat on most entries and jumping at month ends.
+export function benchmarkStats(entries, values) {
+  const paired = entries
+    .map((e, i) => ({ ...e, benchmark: values[i] }))
+    .filter((e) => e.benchmark !== null);
+  if (paired.length < 2) return null;
+
+  const portfolio = periodReturns(paired);
+  const bench = periodReturns(paired.map((e) => ({ date: e.date, balance: e.benchmark, flow: e.flow })));
+  const growth = (rets) => rets.reduce((g, r) => g * (1 + r.ret), 1) - 1;
+  const portfolioReturn = growth(portfolio);
+  const benchmarkReturn = growth(bench);
+
+  // Both series share their dates, so their months line up
+  const monthOf = (date) => date.slice(0, 7);
+  const portfolioMonths = bucketReturns(paired, monthOf);
+  const benchMonths = bucketReturns(paired.map((e) => ({ date: e.date, balance: e.benchmark, flow: e.flow })), monthOf);
+
+  const mean = (rets) => rets.reduce((s, r) => s + r.ret, 0) / rets.length;
+  const mp = mean(portfolioMonths), mb = mean(benchMonths);
+  let cov = 0, varB = 0;
+  portfolioMonths.forEach((r, i) => {
+    cov += (r.ret - mp) * (benchMonths[i].ret - mb);
+    varB += (benchMonths[i].ret - mb) ** 2;
+  });
+  // Under two months, or against a benchmark that barely moves (a savings
+  // rate, whose months differ only by their length), beta means nothing
+  const beta = portfolioMonths.length >= 2 && varB / portfolioMonths.length > 1e-6 ? cov / varB : null;
+  const alpha = beta === null ? null : (mp - beta * mb) * 12;
+
+  return { portfolioReturn, benchmarkReturn, excessReturn: portfolioReturn - benchmarkReturn, alpha, beta };
+}
@@ -0,0 +1,139 @@
+import {
+  savingsSeries,
+  rebaseBenchmark,
+  benchmarkStats,
+  lastPriceDate,
+  benchmarkName,
+  loadBenchmarkSettings,
+  saveBenchmarkSettings,
+  BUNDLED_INDEX,
+} from "./benchmark";
+import { parseCSVWithReport } from "./csv";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+const p = (date, balance) => ({ date, balance });
+
+describe("savingsSeries", () => {
+  test("compounds the yearly rate by elapsed days", () => {
+    const series = savingsSeries(["2025-01-01", "2026-01-01"], 4);
+    expect(series[0].balance).toBe(1);
+    expect(series[1].balance).toBeCloseTo(1.04, 10);
+  });
+});
+
+describe("rebaseBenchmark", () => {
+  test("starts from the first balance and follows the price", () => {
+    const entries = [e("2026-01-01", 1000), e("2026-01-02", 1100), e("2026-01-03", 1050)];
+    const prices = [p("2026-01-01", 50), p("2026-01-02", 55), p("2026-01-03", 45)];
+    expect(rebaseBenchmark(entries, prices)).toEqual([1000, 1100, 900]);
+  });
+
+  test("adds the portfolio's deposits and withdrawals", () => {
+    const entries = [e("2026-01-01", 1000), e("2026-01-02", 1600, 500), e("2026-01-03", 1300, -300)];
+    const prices = [p("2026-01-01", 10), p("2026-01-02", 11), p("2026-01-03", 11)];
+    expect(rebaseBenchmark(entries, prices)).toEqual([1000, 1600, 1300]);
+  });
+
+  test("carries the last price over days without one", () => {
+    const entries = [e("2026-01-02", 100), e("2026-01-03", 100), e("2026-01-05", 100)];
+    const prices = [p("2026-01-01", 10), p("2026-01-04", 20), p("2026-01-05", 20)];
+    expect(rebaseBenchmark(entries, prices)).toEqual([100, 100, 200]);
+  });
+
+  test("is null before the benchmark's first price", () => {
+    const entries = [e("2026-01-01", 100), e("2026-01-02", 120), e("2026-01-03", 130)];
+    const prices = [p("2026-01-02", 10), p("2026-01-03", 11)];
+    expect(rebaseBenchmark(entries, prices)).toEqual([null, 120, 132]);
+  });
+
+  test("is null after the benchmark's last price", () => {
+    const entries = [e("2026-01-01", 100), e("2026-01-02", 120), e("2026-01-03", 130)];
+    const prices = [p("2026-01-01", 10), p("2026-01-02", 12)];
+    expect(rebaseBenchmark(entries, prices)).toEqual([100, 120, null]);
+    expect(lastPriceDate(prices)).toBe("2026-01-02");
+    expect(lastPriceDate([])).toBeNull();
+  });
+});
+
+describe("benchmarkStats", () => {
+  test("is null without two overlapping dates", () => {
+    expect(benchmarkStats([e("2026-01-01", 100)], [100])).toBeNull();
+    expect(benchmarkStats([e("2026-01-01", 100), e("2026-01-02", 110)], [null, null])).toBeNull();
+  });
+
+  test("a portfolio moving twice as much, plus 1% a month, has a beta of 2", () => {
+    // Benchmark +10%, -5%, +5%; portfolio +21%, -9%, +11%
+    const entries = [e("2026-01-31", 100), e("2026-02-28", 121), e("2026-03-31", 110.11), e("2026-04-30", 122.2221)];
+    const values = [100, 110, 104.5, 109.725];
+    const s = benchmarkStats(entries, values);
+    expect(s.beta).toBeCloseTo(2, 10);
+    expect(s.alpha).toBeCloseTo(0.01 * 12, 6);
+    expect(s.portfolioReturn).toBeCloseTo(0.222221, 10);
+    expect(s.benchmarkReturn).toBeCloseTo(0.09725, 10);
+    expect(s.excessReturn).toBeCloseTo(0.222221 - 0.09725, 10);
+  });
+
+  test("matching the benchmark gives no alpha or excess return", () => {
+    const entries = [e("2026-01-01", 100), e("2026-02-01", 110), e("2026-03-01", 99)];
+    const s = benchmarkStats(entries, [100, 110, 99]);
+    expect(s.beta).toBeCloseTo(1, 10);
+    expect(s.alpha).toBeCloseTo(0, 10);
+    expect(s.excessReturn).toBeCloseTo(0, 10);
+  });
+
+  test("a flat or steadily growing benchmark has no beta", () => {
+    const s = benchmarkStats([e("2026-01-01", 100), e("2026-01-02", 110)], [100, 100]);
+    expect(s.beta).toBeNull();
+    expect(s.alpha).toBeNull();
+
+    const entries = [e("2026-01-01", 100), e("2026-02-01", 110), e("2026-03-01", 104), e("2026-04-01", 108)];
+    const steady = benchmarkStats(entries, [100, 100.01, 100.02, 100.03]);
+    expect(steady.beta).toBeNull();
+    expect(steady.excessReturn).toBeCloseTo(0.08 - 0.0003, 10);
+  });
+
+  test("regresses daily entries on a month-end benchmark month by month", () => {
+    // Month-end closes: +10%, -5%, +5%, +5%. The portfolio makes twice the
+    // month's move plus 1%, zigzagging 2% on the days in between.
+    const closes = [p("2026-01-31", 100), p("2026-02-28", 110), p("2026-03-31", 104.5), p("2026-04-30", 109.725), p("2026-05-31", 115.21125)];
+    const monthly = [1, 1.21, 1.1011, 1.222221, 1.35666531];
+    const entries = [];
+    for (let t = Date.UTC(2026, 0, 31), m = 0; t <= Date.UTC(2026, 4, 31); t += 86400000) {
+      const date = new Date(t).toISOString().slice(0, 10);
+      if (closes[m + 1] && date === closes[m + 1].date) m++;
+      const monthEnd = date === closes[m].date;
+      entries.push(e(date, 100 * monthly[m] * (!monthEnd && new Date(t).getUTCDate() % 2 ? 1.02 : 1)));
+    }
+    const s = benchmarkStats(entries, rebaseBenchmark(entries, closes));
+    expect(s.beta).toBeCloseTo(2, 6);
+    expect(s.alpha).toBeCloseTo(0.12, 6);
+  });
+});
+
+describe("bundled index", () => {
+  test("reads as monthly closes without import issues", () => {
+    const { entries, report } = parseCSVWithReport(BUNDLED_INDEX);
+    expect(report).toMatchObject({ rows: entries.length, imported: entries.length, skipped: [], ambiguous: [], duplicates: [] });
+    expect(entries[0]).toEqual({ date: "2022-12-30", balance: 3839.5, flow: 0 });
+    expect(new Set(entries.map((x) => x.date.slice(0, 7))).size).toBe(entries.length);
+  });
+
+  test("rebases onto a portfolio's entries", () => {
+    const prices = parseCSVWithReport(BUNDLED_INDEX).entries;
+    const values = rebaseBenchmark([e("2024-01-15", 1000), e("2024-02-15", 1100)], prices);
+    expect(values[0]).toBe(1000);
+    expect(values[1]).toBeCloseTo(1000 * (4845.65 / 4769.83), 6);
+    expect(benchmarkName({ type: "bundled" })).toBe("S&P 500");
+  });
+});
+
+describe("benchmark settings", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("defaults to no benchmark and round-trips", () => {
+    expect(loadBenchmarkSettings()).toEqual({ type: "none" });
+    saveBenchmarkSettings({ type: "savings", rate: 4.5 });
+    expect(loadBenchmarkSettings()).toEqual({ type: "savings", rate: 4.5 });
+    expect(benchmarkName(loadBenchmarkSettings())).toBe("Savings 4.5%");
+  });
+});
@@ -0,0 +1,359 @@
+// Parsing of balance sheets exported as CSV, and the date/amount helpers
+// shared with the other data sources.
+//
+// The sheet's currency is read off its amounts ("$1,234.56", "1.234,56 €"),
+// a "currency" column or the balance header ("Balance (EUR)"). The most
+// common one is the report's `currency`; rows in any other currency carry
+// their own `currency`.
+//
+// Parsing options (all optional):
+//   dateFormat:   "auto" | "YMD" | "DMY" | "MDY"
+//   numberLocale: "auto" | "en" (1,234.56) | "eu" (1.234,56)
+//   duplicates:   "last" | "first"   which row wins when a date repeats
+
+import { detectCurrency } from "./currency";
+
+export const DATE_FORMATS = ["auto", "YMD", "DMY", "MDY"];
+export const NUMBER_LOCALES = ["auto", "en", "eu"];
+export const DUPLICATE_RULES = ["last", "first"];
+
+const DEFAULT_OPTIONS = { dateFormat: "auto", numberLocale: "auto", duplicates: "last" };
+
+// Splits CSV text into records of fields (RFC 4180): quoted fields may hold
+// delimiters, line breaks and "" escaped quotes; records end in CRLF, LF or
+// CR. Each record keeps the line number it starts on.
+export function parseRows(text, delimiter = ",") {
+  const records = [];
+  let fields = [], field = "", inQuotes = false, line = 1, startLine = 1;
+
+  const endField = () => { fields.push(field); field = ""; };
+  const endRecord = () => {
+    endField();
+    records.push({ line: startLine, fields });
+    fields = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else {
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length) endRecord();
+
+  // Blank lines carry no data
+  return records
+    .map((r) => ({ line: r.line, fields: r.fields.map((f) => f.trim()) }))
+    .filter((r) => r.fields.some((f) => f !== ""));
+}
+
+// Picks the delimiter that occurs most on the first line, outside quotes.
+// Semicolons are common in sheets exported with a comma decimal separator.
+export function detectDelimiter(text) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a), ",");
+}
+
+const NUMERIC_DATE = /^(\d{1,4})[/\-.](\d{1,2})[/\-.](\d{1,4})$/;
+// "Jan 5, 2026", "January 5th 2026"
+const MONTH_FIRST_DATE = /^([a-z]{3,})\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i;
+// "5 Jan 2026", "05-Jan-26"
+const DAY_FIRST_DATE = /^(\d{1,2})(?:st|nd|rd|th)?[ -]([a-z]{3,})\.?,?[ -](\d{2}|\d{4})$/i;
+// A time after the date ("2026-01-05T09:30:00Z", "1/5/2026 9:30") is ignored
+const TIME_SUFFIX = /(?:T|\s+)\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:\s*[ap]m)?(?:Z|[+-]\d{2}:?\d{2})?$/i;
+
+const MONTH_NAMES = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+// A date cell without quotes, surrounding space or time of day
+const dateText = (value) => String(value).replace(/"/g, "").trim().replace(TIME_SUFFIX, "");
+
+// 1-based month of a name or abbreviation such as "Jan" or "Sept", else 0
+function monthNumber(name) {
+  const n = name.toLowerCase();
+  return MONTH_NAMES.findIndex((full) => full.startsWith(n)) + 1;
+}
+
+function isoDate(y, m, d) {
+  if (y < 100) y += 2000;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Works out the date order from every numeric date in a column: a first part
+// over 12 means DMY, a second part over 12 means MDY, a 4-digit first part
+// means YMD. `ambiguous` is set when nothing settles it and MDY is assumed.
+export function detectDateFormat(values) {
+  let dmy = false, mdy = false, ymd = false, numeric = false;
+  values.forEach((v) => {
+    const m = NUMERIC_DATE.exec(dateText(v));
+    if (!m) return;
+    numeric = true;
+    if (m[1].length === 4) ymd = true;
+    else if (Number(m[1]) > 12) dmy = true;
+    else if (Number(m[2]) > 12) mdy = true;
+  });
+  if (ymd) return { format: "YMD", ambiguous: false };
+  if (dmy && !mdy) return { format: "DMY", ambiguous: false };
+  if (mdy && !dmy) return { format: "MDY", ambiguous: false };
+  return { format: "MDY", ambiguous: numeric };
+}
+
+// Turns a date cell into "YYYY-MM-DD", or null when it can't be read.
+// Numeric dates follow `format`; dates with a month name ("Jan 5, 2026",
+// "5 Jan 2026") are read as written. Anything else is unreadable.
+export function normalizeDate(value, format = "auto") {
+  const dateStr = dateText(value);
+  const m = NUMERIC_DATE.exec(dateStr);
+  if (m) {
+    const [a, b, c] = [m[1], m[2], m[3]].map(Number);
+    if (m[1].length === 4 || format === "YMD") return isoDate(a, b, c);
+    if (format === "DMY") return isoDate(c, b, a);
+    if (format === "MDY") return isoDate(c, a, b);
+    // No format given: guess per value, day first only when it must be
+    return a > 12 ? isoDate(c, b, a) : isoDate(c, a, b);
+  }
+
+  const monthFirst = MONTH_FIRST_DATE.exec(dateStr);
+  if (monthFirst) {
+    const month = monthNumber(monthFirst[1]);
+    return month ? isoDate(Number(monthFirst[3]), month, Number(monthFirst[2])) : null;
+  }
+  const dayFirst = DAY_FIRST_DATE.exec(dateStr);
+  if (dayFirst) {
+    const month = monthNumber(dayFirst[2]);
+    return month ? isoDate(Number(dayFirst[3]), month, Number(dayFirst[1])) : null;
+  }
+  return null;
+}
+
+// Currency symbols ("$", "US$", "€") and codes or abbreviations ("EUR",
+// "Fr.") standing apart from the digits
+const CURRENCY_MARKS = /[a-z]{0,3}[$€£¥]|\b[a-z]{1,3}\b\.?/gi;
+
+// Splits an amount cell into its sign and its digits with separators, or
+// null when anything but a currency, spaces, a sign or parentheses is
+// around the number ("1e5", "12abc", "Balance 1")
+function amountParts(value) {
+  const rest = String(value).replace(CURRENCY_MARKS, "").replace(/\s+/g, "");
+  const m = /^([-+]?)(\(?)([-+]?)([\d.,]*\d[\d.,]*)(\)?)$/.exec(rest);
+  if (!m || !m[2] !== !m[5]) return null;
+  return { negative: m[1] === "-" || m[3] === "-" || m[2] === "(", digits: m[4] };
+}
+
+// Votes on the decimal separator from the amounts in a column. A separator
+// followed by exactly three digits could be either, so it doesn't vote.
+// `ambiguous` is set when nothing settles it and some amount would read
+// differently either way ("1.000"); "en" is assumed then.
+export function detectNumberLocale(values) {
+  let en = 0, eu = 0;
+  values.forEach((v) => {
+    const s = amountParts(v)?.digits ?? "";
+    const lastDot = s.lastIndexOf("."), lastComma = s.lastIndexOf(",");
+    if (lastDot >= 0 && lastComma >= 0) {
+      if (lastComma > lastDot) eu++; else en++;
+      return;
+    }
+    const sep = lastComma >= 0 ? "," : lastDot >= 0 ? "." : null;
+    if (!sep) return;
+    // A repeated separator is thousands grouping; a single one followed by
+    // anything but three digits is the decimal point
+    if (s.split(sep).length > 2) {
+      if (sep === ",") en++; else eu++;
+    } else if (s.length - s.lastIndexOf(sep) - 1 !== 3) {
+      if (sep === ",") eu++; else en++;
+    }
+  });
+  if (eu !== en) return { locale: eu > en ? "eu" : "en", ambiguous: false };
+  return { locale: "en", ambiguous: values.some(readsBothWays) };
+}
+
+// True when an amount means different numbers in the two locales
+function readsBothWays(value) {
+  const en = parseAmount(value, "en"), eu = parseAmount(value, "eu");
+  return !isNaN(en) && !isNaN(eu) && en !== eu;
+}
+
+// Reads an amount such as "$1,234.56", "1.234,56 €" or "(250)" (negative).
+// Numbers pass through unchanged; unreadable input gives NaN.
+export function parseAmount(value, locale = "en") {
+  if (typeof value === "number") return value;
+  if (value === undefined || value === null) return NaN;
+  const parts = amountParts(value);
+  if (!parts) return NaN;
+  const { digits, negative } = parts;
+  const s = locale === "eu" ? digits.replace(/\./g, "").replace(",", ".") : digits.replace(/,/g, "");
+  if (!/^\d*\.?\d+$|^\d+\.$/.test(s)) return NaN;
+  const n = parseFloat(s);
+  return negative ? -n : n;
+}
+
+// Finds the balance column: a "balance"/"value" column, or the closing price
+// of a price history (adjusted close first). Defaults to the second column.
+function balanceColumn(header) {
+  if (!header) return 1;
+  const names = header.map((name) => name.toLowerCase());
+  const adjusted = names.findIndex((n) => /adj\.? ?close/.test(n));
+  if (adjusted > 0) return adjusted;
+  const named = names.findIndex((n, idx) => idx > 0 && /balance|value|close|price/.test(n));
+  return named > 0 ? named : 1;
+}
+
+// Finds an optional column naming each row's currency
+function currencyColumn(header) {
+  if (!header) return -1;
+  return header.findIndex((name) => /^(currency|ccy)$/i.test(name));
+}
+
+// Finds the optional cash-flow columns: a signed "flow"/"deposit" column, or
+// separate deposit and withdrawal columns. Without a header row, a third
+// column is read as a signed cash flow.
+function flowColumns(header) {
+  if (!header) return [{ idx: 2, sign: 1 }];
+  const cols = [];
+  header.forEach((name, idx) => {
+    const n = name.toLowerCase();
+    if (/withdraw/.test(n)) cols.push({ idx, sign: -1 });
+    else if (/deposit|contribution|cash ?flow|^flow/.test(n)) cols.push({ idx, sign: 1 });
+  });
+  return cols;
+}
+
+// Parses CSV text into entries and a report of what happened to each row.
+// The report lists skipped rows, rows whose date order had to be assumed and
+// dates that appeared more than once, each with its line number and reason.
+export function parseCSVWithReport(text, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const delimiter = detectDelimiter(text);
+  const records = parseRows(text, delimiter);
+
+  const report = {
+    delimiter,
+    dateFormat: opts.dateFormat,
+    dateFormatDetected: false,
+    numberLocale: opts.numberLocale,
+    numberLocaleDetected: false,
+    currency: null,
+    rows: 0,
+    imported: 0,
+    skipped: [],
+    ambiguous: [],
+    duplicates: [],
+  };
+  if (!records.length) return { entries: [], report };
+
+  // A first row whose first cell isn't a date is a header
+  const first = records[0].fields;
+  const hasHeader = !normalizeDate(first[0] || "") || /date|week|day/i.test(first[0]);
+  const header = hasHeader ? first : null;
+  const rows = hasHeader ? records.slice(1) : records;
+  const col = balanceColumn(header);
+  const flowCols = flowColumns(header);
+  const currencyCol = currencyColumn(header);
+  report.rows = rows.length;
+
+  let ambiguousDates = false;
+  if (opts.dateFormat === "auto") {
+    const detected = detectDateFormat(rows.map((r) => r.fields[0] || ""));
+    report.dateFormat = detected.format;
+    report.dateFormatDetected = true;
+    ambiguousDates = detected.ambiguous;
+  }
+  let ambiguousNumbers = false;
+  if (opts.numberLocale === "auto") {
+    const amounts = rows.flatMap((r) => [r.fields[col], ...flowCols.map((c) => r.fields[c.idx])]);
+    const detected = detectNumberLocale(amounts.filter(Boolean));
+    report.numberLocale = detected.locale;
+    report.numberLocaleDetected = true;
+    ambiguousNumbers = detected.ambiguous;
+  }
+
+  const byDate = new Map();
+  rows.forEach(({ line, fields }) => {
+    const skip = (reason) => report.skipped.push({ line, reason, raw: fields.join(delimiter) });
+    if (fields.length <= col || fields[col] === "") return skip("missing balance");
+
+    const date = normalizeDate(fields[0], report.dateFormat);
+    if (!date) return skip(`unreadable date "${fields[0]}"`);
+
+    const balance = parseAmount(fields[col], report.numberLocale);
+    if (isNaN(balance)) return skip(`unreadable balance "${fields[col]}"`);
+    if (balance <= 0) return skip("balance is zero or negative");
+
+    // Only dates that would read differently day-first are worth flagging
+    const parts = NUMERIC_DATE.exec(dateText(fields[0]));
+    if (ambiguousDates && parts && parts[1].length < 4 && parts[1] !== parts[2]) {
+      report.ambiguous.push({ line, reason: `"${fields[0]}" read as ${date} (month first)` });
+    }
+    // Likewise amounts that would read differently with a decimal comma
+    if (ambiguousNumbers) {
+      [fields[col], ...flowCols.map((c) => fields[c.idx])].filter((v) => v && readsBothWays(v)).forEach((v) => {
+        const how = v.includes(".") ? "point as decimal separator" : "comma as thousands separator";
+        report.ambiguous.push({ line, reason: `"${v}" read as ${parseAmount(v, "en")} (${how})` });
+      });
+    }
+
+    let flow = 0;
+    flowCols.forEach(({ idx, sign }) => {
+      const amount = parseAmount(fields[idx], report.numberLocale);
+      if (isNaN(amount)) return;
+      flow += sign < 0 ? -Math.abs(amount) : amount;
+    });
+
+    if (byDate.has(date)) {
+      const kept = opts.duplicates === "first" ? byDate.get(date).line : line;
+      report.duplicates.push({ line, date, reason: `repeats ${date}; keeping line ${kept}` });
+      if (opts.duplicates === "first") return;
+    }
+    const currency = (currencyCol >= 0 && detectCurrency(fields[currencyCol])) || detectCurrency(fields[col]);
+    byDate.set(date, { line, currency, entry: { date, balance, flow } });
+  });
+
+  // The sheet's currency is the one most rows are in
+  const counts = new Map();
+  byDate.forEach(({ currency }) => currency && counts.set(currency, (counts.get(currency) || 0) + 1));
+  const detected = [...counts.keys()];
+  report.currency = detected.length
+    ? detected.reduce((a, b) => (counts.get(b) > counts.get(a) ? b : a))
+    : header ? detectCurrency(header[col]) : null;
+
+  const entries = [...byDate.values()]
+    .map((v) => (v.currency && v.currency !== report.currency ? { ...v.entry, currency: v.currency } : v.entry))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  report.imported = entries.length;
+  return { entries, report };
+}
+
+export function parseCSV(text, options) {
+  return parseCSVWithReport(text, options).entries;
+}
+
+// True when the report has anything worth showing to the user
+export function hasImportIssues(report) {
+  return !!report && (report.skipped.length > 0 || report.ambiguous.length > 0 || report.duplicates.length > 0);
+}
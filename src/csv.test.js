@@ -0,0 +1,235 @@
+import {
+  parseRows,
+  detectDelimiter,
+  detectDateFormat,
+  normalizeDate,
+  detectNumberLocale,
+  parseAmount,
+  parseCSVWithReport,
+  parseCSV,
+  hasImportIssues,
+} from "./csv";
+
+describe("parseRows", () => {
+  test("splits plain records", () => {
+    expect(parseRows("a,b\n1,2")).toEqual([
+      { line: 1, fields: ["a", "b"] },
+      { line: 2, fields: ["1", "2"] },
+    ]);
+  });
+
+  test("handles quoted delimiters and escaped quotes", () => {
+    expect(parseRows('"1,234.50","say ""hi"""').map((r) => r.fields)).toEqual([["1,234.50", 'say "hi"']]);
+  });
+
+  test("accepts CRLF, LF and lone CR line endings", () => {
+    expect(parseRows("a\r\nb\nc\rd").map((r) => r.fields[0])).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("keeps line breaks inside quotes and numbers records by their first line", () => {
+    expect(parseRows('x,"two\r\nlines"\r\ny,z')).toEqual([
+      { line: 1, fields: ["x", "two\r\nlines"] },
+      { line: 3, fields: ["y", "z"] },
+    ]);
+  });
+
+  test("drops blank lines and keeps empty fields", () => {
+    expect(parseRows("a,,c\n\n , \nd,e\n").map((r) => r.fields)).toEqual([["a", "", "c"], ["d", "e"]]);
+  });
+});
+
+test("detects the delimiter from the first line", () => {
+  expect(detectDelimiter("Date;Balance\n01/02/2026;1.234,56")).toBe(";");
+  expect(detectDelimiter("Date\tBalance")).toBe("\t");
+  expect(detectDelimiter('"a;b",c')).toBe(",");
+});
+
+describe("dates", () => {
+  test("detects the date order from the whole column", () => {
+    expect(detectDateFormat(["2026-01-05"])).toEqual({ format: "YMD", ambiguous: false });
+    expect(detectDateFormat(["01/02/2026", "25/02/2026"])).toEqual({ format: "DMY", ambiguous: false });
+    expect(detectDateFormat(["01/02/2026", "02/25/2026"])).toEqual({ format: "MDY", ambiguous: false });
+    expect(detectDateFormat(["01/02/2026", "03/04/2026"])).toEqual({ format: "MDY", ambiguous: true });
+    expect(detectDateFormat(["Jan 5, 2026"])).toEqual({ format: "MDY", ambiguous: false });
+  });
+
+  test("reads numeric dates in the given order", () => {
+    expect(normalizeDate("03/04/2026", "DMY")).toBe("2026-04-03");
+    expect(normalizeDate("03/04/2026", "MDY")).toBe("2026-03-04");
+    expect(normalizeDate("2026.04.03", "DMY")).toBe("2026-04-03");
+    expect(normalizeDate("3-4-26", "DMY")).toBe("2026-04-03");
+  });
+
+  test("guesses per value without a format", () => {
+    expect(normalizeDate("25/12/2025")).toBe("2025-12-25");
+    expect(normalizeDate("12/25/2025")).toBe("2025-12-25");
+    expect(normalizeDate("Jan 5, 2026")).toBe("2026-01-05");
+  });
+
+  test("reads dates with a month name and ignores a time of day", () => {
+    expect(normalizeDate("January 5th 2026")).toBe("2026-01-05");
+    expect(normalizeDate("Sept. 30, 2025")).toBe("2025-09-30");
+    expect(normalizeDate("5 Jan 2026")).toBe("2026-01-05");
+    expect(normalizeDate("05-Jan-26")).toBe("2026-01-05");
+    expect(normalizeDate("2026-01-05T23:30:00Z")).toBe("2026-01-05");
+    expect(normalizeDate("1/5/2026 9:30 PM", "MDY")).toBe("2026-01-05");
+  });
+
+  test("rejects impossible dates", () => {
+    expect(normalizeDate("31/02/2026", "DMY")).toBeNull();
+    expect(normalizeDate("13/13/2026", "MDY")).toBeNull();
+    expect(normalizeDate("not a date")).toBeNull();
+    expect(normalizeDate("")).toBeNull();
+    expect(normalizeDate("Feb 30, 2026")).toBeNull();
+    expect(normalizeDate("Foo 5, 2026")).toBeNull();
+  });
+
+  test("doesn't read numbers or words as dates", () => {
+    expect(normalizeDate("1")).toBeNull();
+    expect(normalizeDate("Balance 1")).toBeNull();
+    expect(normalizeDate("2026")).toBeNull();
+    expect(normalizeDate("Total")).toBeNull();
+  });
+});
+
+describe("amounts", () => {
+  test("detects the decimal separator", () => {
+    expect(detectNumberLocale(["1.234,56", "987,10"])).toEqual({ locale: "eu", ambiguous: false });
+    expect(detectNumberLocale(["1,234.56", "987.10"])).toEqual({ locale: "en", ambiguous: false });
+    expect(detectNumberLocale(["1.234.567"])).toEqual({ locale: "eu", ambiguous: false });
+    expect(detectNumberLocale(["1000", "$250"])).toEqual({ locale: "en", ambiguous: false });
+  });
+
+  test("flags separators that could be either", () => {
+    expect(detectNumberLocale(["1.000", "2.000"])).toEqual({ locale: "en", ambiguous: true });
+    expect(detectNumberLocale(["1,234"])).toEqual({ locale: "en", ambiguous: true });
+    expect(detectNumberLocale(["1.000", "2.000,50"])).toEqual({ locale: "eu", ambiguous: false });
+  });
+
+  test("parses both locales with currency symbols", () => {
+    expect(parseAmount("$1,234.56")).toBe(1234.56);
+    expect(parseAmount("1.234,56 €", "eu")).toBe(1234.56);
+    expect(parseAmount("£ 1 234.5")).toBe(1234.5);
+    expect(parseAmount("CHF 250")).toBe(250);
+    expect(parseAmount("US$-12.50")).toBe(-12.5);
+    expect(parseAmount("1.234,56 Fr.", "eu")).toBe(1234.56);
+    expect(parseAmount(42)).toBe(42);
+  });
+
+  test("reads negatives and rejects junk", () => {
+    expect(parseAmount("-250")).toBe(-250);
+    expect(parseAmount("(250.00)")).toBe(-250);
+    expect(parseAmount("n/a")).toBeNaN();
+    expect(parseAmount("1.2.3")).toBeNaN();
+    expect(parseAmount(undefined)).toBeNaN();
+  });
+
+  test("rejects exponents and text around the number", () => {
+    expect(parseAmount("1e5")).toBeNaN();
+    expect(parseAmount("12abc34")).toBeNaN();
+    expect(parseAmount("Balance 1")).toBeNaN();
+    expect(parseAmount("5/3")).toBeNaN();
+    expect(parseAmount("(250")).toBeNaN();
+  });
+});
+
+describe("parseCSVWithReport", () => {
+  test("imports a European sheet", () => {
+    const { entries, report } = parseCSVWithReport(
+      "Datum;Saldo;Deposit\r\n31/12/2025;1.000,00;\r\n02/01/2026;1.600,50;500,00\r\n"
+    );
+    expect(entries).toEqual([
+      { date: "2025-12-31", balance: 1000, flow: 0 },
+      { date: "2026-01-02", balance: 1600.5, flow: 500 },
+    ]);
+    expect(report).toMatchObject({ delimiter: ";", dateFormat: "DMY", numberLocale: "eu", rows: 2, imported: 2 });
+    expect(hasImportIssues(report)).toBe(false);
+  });
+
+  test("reads the closing price of a price history", () => {
+    const entries = parseCSV(
+      "Date,Open,High,Low,Close,Adj Close,Volume\n2026-01-02,100,105,99,104,103.5,1000\n"
+    );
+    expect(entries).toEqual([{ date: "2026-01-02", balance: 103.5, flow: 0 }]);
+    expect(parseCSV("Date,Deposit,Balance\n2026-01-02,50,1050")).toEqual([{ date: "2026-01-02", balance: 1050, flow: 50 }]);
+  });
+
+  test("honours an explicit format over detection", () => {
+    const { entries, report } = parseCSVWithReport("Date,Balance\n03/04/2026,100", { dateFormat: "DMY" });
+    expect(entries[0].date).toBe("2026-04-03");
+    expect(report.dateFormatDetected).toBe(false);
+    expect(report.ambiguous).toEqual([]);
+  });
+
+  test("reports skipped rows with reasons", () => {
+    const { entries, report } = parseCSVWithReport(
+      "Date,Balance\n2026-01-01,100\nsoon,200\n2026-01-03,\n2026-01-04,abc\n2026-01-05,0\n2026-01-06"
+    );
+    expect(entries).toHaveLength(1);
+    expect(report.skipped).toEqual([
+      { line: 3, reason: 'unreadable date "soon"', raw: "soon,200" },
+      { line: 4, reason: "missing balance", raw: "2026-01-03," },
+      { line: 5, reason: 'unreadable balance "abc"', raw: "2026-01-04,abc" },
+      { line: 6, reason: "balance is zero or negative", raw: "2026-01-05,0" },
+      { line: 7, reason: "missing balance", raw: "2026-01-06" },
+    ]);
+    expect(hasImportIssues(report)).toBe(true);
+  });
+
+  test("flags dates that could be read either way", () => {
+    const { report } = parseCSVWithReport("Date,Balance\n01/02/2026,100\n03/03/2026,110");
+    expect(report.ambiguous).toEqual([{ line: 2, reason: '"01/02/2026" read as 2026-01-02 (month first)' }]);
+  });
+
+  test("flags amounts that could be read either way", () => {
+    const { entries, report } = parseCSVWithReport("Date,Balance,Deposit\n2026-01-01,1.000,\n2026-01-02,2.000,\"1,000\"\n2026-01-03,2100,");
+    expect(entries.map((e) => e.balance)).toEqual([1, 2, 2100]);
+    expect(report.numberLocale).toBe("en");
+    expect(report.ambiguous).toEqual([
+      { line: 2, reason: '"1.000" read as 1 (point as decimal separator)' },
+      { line: 3, reason: '"2.000" read as 2 (point as decimal separator)' },
+      { line: 3, reason: '"1,000" read as 1000 (comma as thousands separator)' },
+    ]);
+    expect(hasImportIssues(report)).toBe(true);
+    expect(parseCSVWithReport("Date,Balance\n2026-01-01,1.000", { numberLocale: "eu" }).report.ambiguous).toEqual([]);
+  });
+
+  test("keeps the last row of a repeated date by default", () => {
+    const { entries, report } = parseCSVWithReport("Date,Balance\n2026-01-01,100\n2026-01-01,105\n2026-01-02,110");
+    expect(entries.map((e) => e.balance)).toEqual([105, 110]);
+    expect(report.duplicates).toEqual([{ line: 3, date: "2026-01-01", reason: "repeats 2026-01-01; keeping line 3" }]);
+  });
+
+  test("can keep the first row of a repeated date", () => {
+    const { entries, report } = parseCSVWithReport("2026-01-01,100\n2026-01-01,105", { duplicates: "first" });
+    expect(entries).toEqual([{ date: "2026-01-01", balance: 100, flow: 0 }]);
+    expect(report.duplicates[0].reason).toBe("repeats 2026-01-01; keeping line 1");
+  });
+
+  test("sorts entries and reads a headerless third column as a flow", () => {
+    expect(parseCSV("2026-01-02,110,-5\n2026-01-01,100")).toEqual([
+      { date: "2026-01-01", balance: 100, flow: 0 },
+      { date: "2026-01-02", balance: 110, flow: -5 },
+    ]);
+  });
+
+  test("records the sheet's currency and rows in another one", () => {
+    const { entries, report } = parseCSVWithReport('Date,Balance\n2026-01-01,"€1.000,00"\n2026-01-02,"€1.100,00"\n2026-01-03,"$1.200,00"');
+    expect(report.currency).toBe("EUR");
+    expect(entries.map((e) => e.currency)).toEqual([undefined, undefined, "USD"]);
+    expect(entries[2].balance).toBe(1200);
+  });
+
+  test("reads a currency column or the balance header", () => {
+    const { entries, report } = parseCSVWithReport("Date,Balance,Currency\n2026-01-01,100,GBP\n2026-01-02,100,CHF\n2026-01-03,110,GBP");
+    expect(report.currency).toBe("GBP");
+    expect(entries[1].currency).toBe("CHF");
+    expect(parseCSVWithReport("Date,Balance (EUR)\n2026-01-01,100").report.currency).toBe("EUR");
+    expect(parseCSVWithReport("Date,Balance\n2026-01-01,100").report.currency).toBeNull();
+  });
+
+  test("returns nothing for empty input", () => {
+    expect(parseCSVWithReport("").entries).toEqual([]);
+    expect(parseCSV("Date,Balance\n")).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+// Currency codes, reading a currency off an amount or a "currency" cell, and
+// formatting amounts in a currency for the user's locale.
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CHF", "CAD", "AUD"];
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Checked in order, so "C$" is read before "$"
+const SYMBOLS = [
+  ["US$", "USD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["$", "USD"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["¥", "JPY"],
+  ["Fr.", "CHF"],
+];
+
+// The currency an amount or cell is written in ("$1,234.56", "1.234,56 €",
+// "EUR", "CHF 250"), or null when it doesn't say
+export function detectCurrency(value) {
+  const s = String(value ?? "");
+  const code = /\b([A-Z]{3})\b/.exec(s.toUpperCase());
+  if (code && CURRENCIES.includes(code[1])) return code[1];
+  const symbol = SYMBOLS.find(([sym]) => s.includes(sym));
+  return symbol ? symbol[1] : null;
+}
+
+const formatters = new Map();
+
+function formatter(currency, options) {
+  const key = currency + JSON.stringify(options);
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(undefined, { style: "currency", currency, ...options }));
+  }
+  return formatters.get(key);
+}
+
+// An amount with its currency, e.g. "$1,234.56" or "€1,234.56". `signed`
+// always shows the sign ("+$12.00", "-$12.00").
+export function fmtMoney(n, currency = DEFAULT_CURRENCY, { signed = false } = {}) {
+  return formatter(currency, signed ? { signDisplay: "always" } : {}).format(n);
+}
+
+// Short form for chart axes, e.g. "$1.2K"
+export function fmtMoneyShort(n, currency = DEFAULT_CURRENCY) {
+  return formatter(currency, { notation: "compact", minimumFractionDigits: 0, maximumFractionDigits: 1 }).format(n);
+}
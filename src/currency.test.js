@@ -0,0 +1,41 @@
+import { detectCurrency, fmtMoney, fmtMoneyShort } from "./currency";
+
+describe("detectCurrency", () => {
+  test("reads symbols", () => {
+    expect(detectCurrency("$1,234.56")).toBe("USD");
+    expect(detectCurrency("1.234,56 €")).toBe("EUR");
+    expect(detectCurrency("£250")).toBe("GBP");
+    expect(detectCurrency("C$99")).toBe("CAD");
+    expect(detectCurrency("A$99")).toBe("AUD");
+  });
+
+  test("reads codes", () => {
+    expect(detectCurrency("CHF 250")).toBe("CHF");
+    expect(detectCurrency("eur")).toBe("EUR");
+    expect(detectCurrency("Balance (GBP)")).toBe("GBP");
+  });
+
+  test("is null when nothing says", () => {
+    expect(detectCurrency("1,234.56")).toBeNull();
+    expect(detectCurrency("XYZ 10")).toBeNull();
+    expect(detectCurrency(undefined)).toBeNull();
+  });
+});
+
+describe("fmtMoney", () => {
+  test("formats with the currency", () => {
+    expect(fmtMoney(1234.5, "USD")).toBe("$1,234.50");
+    expect(fmtMoney(1234.5, "EUR")).toBe("€1,234.50");
+    expect(fmtMoney(1234.5, "JPY")).toBe("¥1,235");
+  });
+
+  test("shows the sign when asked", () => {
+    expect(fmtMoney(12, "USD", { signed: true })).toBe("+$12.00");
+    expect(fmtMoney(-12, "USD", { signed: true })).toBe("-$12.00");
+  });
+
+  test("shortens axis labels", () => {
+    expect(fmtMoneyShort(1234, "USD")).toBe("$1.2K");
+    expect(fmtMoneyShort(950, "GBP")).toBe("£950");
+  });
+});
@@ -0,0 +1,176 @@
+import { parseCSVWithReport, normalizeDate, parseAmount } from "./csv";
+import { detectCurrency, CURRENCIES } from "./currency";
+
+// Where balances are loaded from. A source is a plain object kept in
+// settings:
+//   { type: "csv",  url }           published sheet / any CSV URL
+//   { type: "json", url }           JSON endpoint
+//   { type: "file", name, text }    local CSV or JSON file picked in the UI
+// CSV sources may also carry `csv`: the parsing options described in csv.js.
+//
+// An account is `{ name, source, currency }`, where `currency` is the code its
+// balances are in, or "auto" (the default) to go by what the sheet says.
+export const SOURCE_TYPES = [
+  { id: "csv", label: "CSV URL" },
+  { id: "json", label: "JSON endpoint" },
+  { id: "file", label: "Local file" },
+];
+
+export const DEFAULT_SHEET_URL =
+  "https://docs.google.com/spreadsheets/d/e/2PACX-1vR0RCmN9uf0TXrcan5bx33Yp-M_SP4KGF1mXBU_q_pc1YCjZMlFI30GjnPrP-fSJbKtY8vUZFRmqaZx/pub?gid=148955930&single=true&output=csv";
+
+export const DEFAULT_SOURCE = { type: "csv", url: DEFAULT_SHEET_URL };
+
+export const DEFAULT_ACCOUNTS = [{ name: "Main", source: DEFAULT_SOURCE }];
+
+const SETTINGS_KEY = "portfolioTracker.accounts";
+// Single-source setting written before accounts existed
+const LEGACY_SETTINGS_KEY = "portfolioTracker.dataSource";
+const CACHE_KEY = "portfolioTracker.cache";
+
+// Appends a timestamp so published sheets aren't served from cache
+function cacheBust(url) {
+  return url + (url.includes("?") ? "&" : "?") + "t=" + Date.now();
+}
+
+// Accepts either an array of rows or `{ entries: [...] }`. Rows need a date
+// and a balance (`balance` or `value`); `flow` is an optional signed cash flow
+// and `currency` an optional code (otherwise read off a "€1,234" balance).
+// A repeated date keeps its last row, as CSV imports do by default.
+export function parseJSONEntries(data) {
+  const rows = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(rows)) return [];
+
+  const entries = new Map();
+  rows.forEach((row) => {
+    if (!row || row.date === undefined) return;
+    const date = normalizeDate(row.date);
+    if (!date) return;
+
+    const balance = parseAmount(row.balance ?? row.value);
+    if (isNaN(balance) || balance <= 0) return;
+
+    const flow = row.flow === undefined ? 0 : parseAmount(row.flow);
+    const currency = detectCurrency(row.currency) || detectCurrency(row.balance ?? row.value);
+    const entry = { date, balance, flow: isNaN(flow) ? 0 : flow };
+    entries.set(date, currency ? { ...entry, currency } : entry);
+  });
+  return [...entries.values()];
+}
+
+// JSON.parse with an error that says what couldn't be read
+function parseJSON(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${what} isn't valid JSON (${e.message})`);
+  }
+}
+
+// Parses file contents as JSON or CSV, going by the file name and falling
+// back to sniffing the first character. Only CSV produces an import report.
+export function parseText(text, name = "", csvOptions) {
+  const trimmed = text.trim();
+  const isJSON = /\.json$/i.test(name) || trimmed.startsWith("[") || trimmed.startsWith("{");
+  if (isJSON) return { entries: parseJSONEntries(parseJSON(trimmed, name || "The file")), report: null };
+  return parseCSVWithReport(trimmed, csvOptions);
+}
+
+// Loads `source` as `{ entries, report }`, where `report` is the CSV import
+// report (null for JSON). `fetchImpl` lets tests swap in a stand-in.
+export async function loadSource(source, fetchImpl = fetch) {
+  switch (source?.type) {
+    case "csv": {
+      const res = await fetchImpl(cacheBust(source.url));
+      if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
+      return parseCSVWithReport(await res.text(), source.csv);
+    }
+    case "json": {
+      const res = await fetchImpl(source.url);
+      if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
+      return { entries: parseJSONEntries(parseJSON(await res.text(), "The response")), report: null };
+    }
+    case "file":
+      return parseText(source.text || "", source.name, source.csv);
+    default:
+      throw new Error(`Unknown data source type: ${source?.type}`);
+  }
+}
+
+// Loads every account's source. The result is `{ name, entries, report }`
+// in the same order as `accounts`. A failure names the account it came from.
+export async function loadAccounts(accounts, fetchImpl = fetch) {
+  return Promise.all(
+    accounts.map(async (a) => {
+      try {
+        return { name: a.name, ...(await loadSource(a.source, fetchImpl)) };
+      } catch (e) {
+        throw new Error(`${a.name}: ${e.message}`);
+      }
+    })
+  );
+}
+
+const isValidSource = (source) => SOURCE_TYPES.some((t) => t.id === source?.type);
+
+// The currency an account's balances are in: its setting, else what its
+// sheet says, else `fallback`
+export function accountCurrency(account, report, fallback) {
+  if (CURRENCIES.includes(account?.currency)) return account.currency;
+  return report?.currency ?? fallback;
+}
+
+// Gives every account a non-empty name that no other account uses
+export function normalizeAccounts(accounts) {
+  const used = new Set();
+  return accounts.map((a, i) => {
+    const base = (a.name || "").trim() || `Account ${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base} (${n})`;
+    used.add(name);
+    return { ...a, name };
+  });
+}
+
+export function loadAccountSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (Array.isArray(saved) && saved.length && saved.every((a) => isValidSource(a.source))) {
+      return normalizeAccounts(saved);
+    }
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_SETTINGS_KEY));
+    if (isValidSource(legacy)) return [{ name: "Main", source: legacy }];
+  } catch (e) {
+    // Unreadable settings fall back to the default sheet
+  }
+  return DEFAULT_ACCOUNTS;
+}
+
+export function saveAccountSettings(accounts) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(accounts));
+  } catch (e) {
+    // Storage full or unavailable: the accounts still apply for this session
+  }
+}
+
+// The last good load is cached so the app can show it straight away, and
+// when offline. `configKey` identifies the accounts it was loaded for, so a
+// changed configuration never shows another one's data.
+export function readCache(configKey) {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    if (cached && cached.configKey === configKey && Array.isArray(cached.series)) return cached;
+  } catch (e) {
+    // Unreadable cache: load from the source as if there were none
+  }
+  return null;
+}
+
+export function writeCache(configKey, series, savedAt) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ configKey, savedAt, series }));
+  } catch (e) {
+    // Storage full or unavailable: the data is still shown, just not kept
+  }
+}
@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import {
+  loadSource,
+  parseText,
+  loadAccounts,
+  normalizeAccounts,
+  loadAccountSettings,
+  saveAccountSettings,
+  accountCurrency,
+  DEFAULT_ACCOUNTS,
+} from "./dataSources";
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "__fixtures__", name), "utf8");
+
+const EXPECTED = [
+  { date: "2025-12-30", balance: 1000, flow: 0 },
+  { date: "2025-12-31", balance: 1050, flow: 0 },
+  { date: "2026-01-02", balance: 1600, flow: 500 },
+  { date: "2026-01-05", balance: 1400, flow: -250 },
+];
+
+// Stand-in for `fetch` serving the fixture files by URL path
+function fixtureFetch(requested) {
+  return async (url) => {
+    requested.push(url);
+    const name = new URL(url).pathname.slice(1);
+    if (!fs.existsSync(path.join(__dirname, "__fixtures__", name))) {
+      return { ok: false, status: 404 };
+    }
+    const body = fixture(name);
+    return { ok: true, status: 200, text: async () => body, json: async () => JSON.parse(body) };
+  };
+}
+
+describe("loadSource", () => {
+  test("loads a CSV URL with a cache-busting timestamp", async () => {
+    const requested = [];
+    const { entries, report } = await loadSource(
+      { type: "csv", url: "http://localhost/balances.csv" },
+      fixtureFetch(requested)
+    );
+    expect(entries).toEqual(EXPECTED);
+    expect(report).toMatchObject({ rows: 4, imported: 4, skipped: [] });
+    expect(requested[0]).toMatch(/^http:\/\/localhost\/balances\.csv\?t=\d+$/);
+  });
+
+  test("loads a JSON endpoint", async () => {
+    const { entries, report } = await loadSource(
+      { type: "json", url: "http://localhost/balances.json" },
+      fixtureFetch([])
+    );
+    expect(entries).toEqual(EXPECTED);
+    expect(report).toBeNull();
+  });
+
+  test("rejects on a failed response", async () => {
+    await expect(
+      loadSource({ type: "json", url: "http://localhost/missing.json" }, fixtureFetch([]))
+    ).rejects.toThrow("404");
+  });
+
+  test("rejects malformed JSON with a readable error", async () => {
+    const fetchImpl = async () => ({ ok: true, status: 200, text: async () => "<html>Sign in</html>" });
+    await expect(loadSource({ type: "json", url: "http://localhost/api" }, fetchImpl)).rejects.toThrow(/^The response isn't valid JSON/);
+    await expect(loadSource({ type: "file", name: "b.json", text: "[{\"date\": " })).rejects.toThrow(/^b\.json isn't valid JSON/);
+  });
+
+  test("parses a picked file by name or content", async () => {
+    expect((await loadSource({ type: "file", name: "b.csv", text: fixture("balances.csv") })).entries).toEqual(EXPECTED);
+    expect((await loadSource({ type: "file", name: "b.json", text: fixture("balances.json") })).entries).toEqual(EXPECTED);
+    expect(parseText(JSON.stringify([{ date: "2026-01-01", balance: 5 }])).entries).toEqual([
+      { date: "2026-01-01", balance: 5, flow: 0 },
+    ]);
+  });
+
+  test("reads a JSON row's currency", () => {
+    expect(parseText(JSON.stringify([{ date: "2026-01-01", balance: "£5" }, { date: "2026-01-02", balance: 6, currency: "eur" }])).entries).toEqual([
+      { date: "2026-01-01", balance: 5, flow: 0, currency: "GBP" },
+      { date: "2026-01-02", balance: 6, flow: 0, currency: "EUR" },
+    ]);
+  });
+
+  test("passes CSV options to the parser", async () => {
+    const text = "Date;Balance\n03/04/2026;1.500,00";
+    const { entries, report } = await loadSource({ type: "file", name: "b.csv", text, csv: { dateFormat: "MDY" } });
+    expect(entries).toEqual([{ date: "2026-03-04", balance: 1500, flow: 0 }]);
+    expect(report.numberLocale).toBe("eu");
+  });
+
+  test("rejects an unknown source type", async () => {
+    await expect(loadSource({ type: "ftp" })).rejects.toThrow("Unknown data source type");
+  });
+});
+
+describe("loadAccounts", () => {
+  test("loads each account's source by name", async () => {
+    const result = await loadAccounts(
+      [
+        { name: "Broker", source: { type: "csv", url: "http://localhost/balances.csv" } },
+        { name: "Crypto", source: { type: "json", url: "http://localhost/balances.json" } },
+      ],
+      fixtureFetch([])
+    );
+    expect(result).toEqual([
+      { name: "Broker", entries: EXPECTED, report: expect.objectContaining({ imported: 4 }) },
+      { name: "Crypto", entries: EXPECTED, report: null },
+    ]);
+  });
+
+  test("names the account that failed to load", async () => {
+    const accounts = [
+      { name: "Broker", source: { type: "csv", url: "http://localhost/balances.csv" } },
+      { name: "Crypto", source: { type: "json", url: "http://localhost/missing.json" } },
+    ];
+    await expect(loadAccounts(accounts, fixtureFetch([]))).rejects.toThrow("Crypto: Request failed with status 404");
+  });
+
+  test("names unnamed and duplicate accounts", () => {
+    const source = { type: "file" };
+    expect(
+      normalizeAccounts([{ name: " ", source }, { name: "A", source }, { name: "A", source }]).map((a) => a.name)
+    ).toEqual(["Account 1", "A", "A (2)"]);
+  });
+});
+
+describe("accountCurrency", () => {
+  test("prefers the account's setting, then the sheet's currency", () => {
+    expect(accountCurrency({ currency: "EUR" }, { currency: "USD" }, "USD")).toBe("EUR");
+    expect(accountCurrency({ currency: "auto" }, { currency: "GBP" }, "USD")).toBe("GBP");
+    expect(accountCurrency({}, null, "USD")).toBe("USD");
+  });
+});
+
+describe("account settings", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("defaults to the published sheet", () => {
+    expect(loadAccountSettings()).toEqual(DEFAULT_ACCOUNTS);
+  });
+
+  test("round-trips through localStorage", () => {
+    const accounts = [
+      { name: "Broker", source: { type: "json", url: "http://localhost/balances.json" } },
+      { name: "Crypto", source: { type: "csv", url: "http://localhost/balances.csv" } },
+    ];
+    saveAccountSettings(accounts);
+    expect(loadAccountSettings()).toEqual(accounts);
+  });
+
+  test("migrates a single saved source", () => {
+    const source = { type: "json", url: "http://localhost/balances.json" };
+    localStorage.setItem("portfolioTracker.dataSource", JSON.stringify(source));
+    expect(loadAccountSettings()).toEqual([{ name: "Main", source }]);
+  });
+
+  test("ignores corrupt settings", () => {
+    localStorage.setItem("portfolioTracker.accounts", "{not json");
+    expect(loadAccountSettings()).toEqual(DEFAULT_ACCOUNTS);
+  });
+});
@@ -0,0 +1,55 @@
+// Date ranges picked with the range presets, the brush or the date inputs.
+// A range is { preset, from, to } with inclusive "YYYY-MM-DD" bounds; the
+// "All" preset has no bounds.
+
+import { addDays } from "./forecast";
+
+export const RANGE_PRESETS = ["1W", "1M", "3M", "YTD", "1Y", "All"];
+
+export const ALL_RANGE = { preset: "All", from: null, to: null };
+
+// Moves a date by whole months, keeping the day where the month allows
+// (Mar 31 minus one month is Feb 28/29)
+export function shiftMonths(date, months) {
+  const [y, m, d] = date.split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+// The range a preset covers, counted back from the latest entry's date so
+// that a sheet that hasn't been updated for a while still shows something
+export function presetRange(preset, lastDate) {
+  if (preset === "All" || !lastDate) return ALL_RANGE;
+  const from = {
+    "1W": () => addDays(lastDate, -7),
+    "1M": () => shiftMonths(lastDate, -1),
+    "3M": () => shiftMonths(lastDate, -3),
+    YTD: () => lastDate.slice(0, 4) + "-01-01",
+    "1Y": () => shiftMonths(lastDate, -12),
+  }[preset]();
+  return { preset, from, to: lastDate };
+}
+
+// Indexes into sorted entries of a range: the first and last entry inside
+// it, and the baseline the range is measured from, which is the entry just
+// before it (or the first entry, when nothing comes before). Null when no
+// entry falls inside the range.
+export function rangeIndexes(sortedEntries, range) {
+  const from = range?.from ?? "";
+  const to = range?.to ?? "9999-12-31";
+  const start = sortedEntries.findIndex((e) => e.date >= from);
+  if (start < 0 || sortedEntries[start].date > to) return null;
+  let end = start;
+  while (end + 1 < sortedEntries.length && sortedEntries[end + 1].date <= to) end++;
+  return { start, end, baseline: start > 0 ? start - 1 : start };
+}
+
+// The range shown when the brush covers entries `startIndex`..`endIndex`,
+// where the first entry under the brush is the baseline
+export function brushRange(sortedEntries, startIndex, endIndex) {
+  if (startIndex === 0 && endIndex === sortedEntries.length - 1) return ALL_RANGE;
+  const first = Math.min(startIndex + 1, endIndex);
+  return { preset: "custom", from: sortedEntries[first].date, to: sortedEntries[endIndex].date };
+}
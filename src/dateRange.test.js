@@ -0,0 +1,61 @@
+import { shiftMonths, presetRange, rangeIndexes, brushRange, ALL_RANGE } from "./dateRange";
+
+const e = (date, balance = 100) => ({ date, balance, flow: 0 });
+const ENTRIES = [e("2025-12-30"), e("2026-01-02"), e("2026-01-05"), e("2026-01-09"), e("2026-02-01")];
+
+describe("shiftMonths", () => {
+  test("moves by whole months across years", () => {
+    expect(shiftMonths("2026-01-15", -1)).toBe("2025-12-15");
+    expect(shiftMonths("2026-01-15", -12)).toBe("2025-01-15");
+  });
+
+  test("clamps to the end of shorter months", () => {
+    expect(shiftMonths("2026-03-31", -1)).toBe("2026-02-28");
+    expect(shiftMonths("2024-03-31", -1)).toBe("2024-02-29");
+  });
+});
+
+describe("presetRange", () => {
+  test("counts back from the latest entry", () => {
+    expect(presetRange("1W", "2026-02-01")).toEqual({ preset: "1W", from: "2026-01-25", to: "2026-02-01" });
+    expect(presetRange("3M", "2026-02-01")).toEqual({ preset: "3M", from: "2025-11-01", to: "2026-02-01" });
+    expect(presetRange("YTD", "2026-02-01")).toEqual({ preset: "YTD", from: "2026-01-01", to: "2026-02-01" });
+    expect(presetRange("1Y", "2026-02-01").from).toBe("2025-02-01");
+  });
+
+  test("All has no bounds", () => {
+    expect(presetRange("All", "2026-02-01")).toBe(ALL_RANGE);
+    expect(presetRange("1M", undefined)).toBe(ALL_RANGE);
+  });
+});
+
+describe("rangeIndexes", () => {
+  test("uses the entry before the range as its baseline", () => {
+    expect(rangeIndexes(ENTRIES, { from: "2026-01-03", to: "2026-01-31" })).toEqual({ start: 2, end: 3, baseline: 1 });
+  });
+
+  test("falls back to the first entry when nothing comes before", () => {
+    expect(rangeIndexes(ENTRIES, { from: "2025-01-01", to: "2026-01-02" })).toEqual({ start: 0, end: 1, baseline: 0 });
+  });
+
+  test("covers everything without bounds", () => {
+    expect(rangeIndexes(ENTRIES, ALL_RANGE)).toEqual({ start: 0, end: 4, baseline: 0 });
+  });
+
+  test("is null when no entry falls inside", () => {
+    expect(rangeIndexes(ENTRIES, { from: "2026-01-10", to: "2026-01-20" })).toBeNull();
+    expect(rangeIndexes(ENTRIES, { from: "2026-03-01", to: "2026-03-31" })).toBeNull();
+  });
+});
+
+describe("brushRange", () => {
+  test("treats the first entry under the brush as the baseline", () => {
+    const range = brushRange(ENTRIES, 1, 3);
+    expect(range).toEqual({ preset: "custom", from: "2026-01-05", to: "2026-01-09" });
+    expect(rangeIndexes(ENTRIES, range).baseline).toBe(1);
+  });
+
+  test("is the whole series when the brush covers it", () => {
+    expect(brushRange(ENTRIES, 0, 4)).toBe(ALL_RANGE);
+  });
+});
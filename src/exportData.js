@@ -0,0 +1,130 @@
+// Exporting the data behind the views as CSV/JSON, and the chart as an
+// SVG or PNG snapshot.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Quotes a CSV field when it holds a delimiter, quote or line break (RFC 4180)
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// Range pairs such as the forecast band become `<key>Low` / `<key>High`
+function flattenRow(row) {
+  const flat = {};
+  Object.entries(row).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      flat[key + "Low"] = value[0];
+      flat[key + "High"] = value[1];
+    } else if (value !== undefined) {
+      flat[key] = value;
+    }
+  });
+  return flat;
+}
+
+// Rows as CSV, with a header of every column any row has, in first-seen order
+export function toCSV(rows) {
+  const flat = rows.map(flattenRow);
+  const columns = [...new Set(flat.flatMap((r) => Object.keys(r)))];
+  const lines = [columns, ...flat.map((r) => columns.map((c) => r[c]))];
+  return lines.map((fields) => fields.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+export function toJSON(rows) {
+  return JSON.stringify(rows.map(flattenRow), null, 2);
+}
+
+// Every entry with its derived columns. `series` is the entries with their
+// running `invested` and time-weighted `factor`.
+export function entryRows(series) {
+  return series.map((e) => ({
+    date: e.date,
+    balance: e.balance,
+    flow: e.flow || 0,
+    invested: e.invested,
+    pnl: e.balance - e.invested,
+    profit: (e.factor - 1) * 100,
+    multiplier: e.factor,
+    note: e.note,
+  }));
+}
+
+export function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download only after this task ends
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// A standalone copy of a rendered chart `svg` with a title and stat lines
+// drawn above it, on the app's background so it reads on its own.
+// `colors` are the theme's panel and text colors.
+export function buildSnapshotSVG(svg, { title, lines = [], colors = { panel: "#111118", text: "#e8e8e8", muted: "#888" } }) {
+  const width = Math.round(svg.getBoundingClientRect().width || Number(svg.getAttribute("width")) || 800);
+  const chartHeight = Math.round(svg.getBoundingClientRect().height || Number(svg.getAttribute("height")) || 380);
+  const headerHeight = 40 + lines.length * 18;
+
+  const root = document.createElementNS(SVG_NS, "svg");
+  root.setAttribute("width", width);
+  root.setAttribute("height", chartHeight + headerHeight);
+  root.setAttribute("font-family", "'Segoe UI',sans-serif");
+
+  const bg = document.createElementNS(SVG_NS, "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", colors.panel);
+  root.appendChild(bg);
+
+  const text = (content, y, size, fill, weight = 400) => {
+    const t = document.createElementNS(SVG_NS, "text");
+    t.setAttribute("x", 16);
+    t.setAttribute("y", y);
+    t.setAttribute("font-size", size);
+    t.setAttribute("font-weight", weight);
+    t.setAttribute("fill", fill);
+    t.textContent = content;
+    root.appendChild(t);
+  };
+  text(title, 28, 18, colors.text, 700);
+  lines.forEach((line, i) => text(line, 50 + i * 18, 12, colors.muted));
+
+  const chart = svg.cloneNode(true);
+  chart.setAttribute("x", 0);
+  chart.setAttribute("y", headerHeight);
+  chart.setAttribute("width", width);
+  chart.setAttribute("height", chartHeight);
+  root.appendChild(chart);
+
+  return { markup: new XMLSerializer().serializeToString(root), width, height: chartHeight + headerHeight };
+}
+
+// Renders snapshot markup to a PNG blob at `scale` times its size
+export function svgToPng({ markup, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Couldn't render the PNG"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Couldn't render the chart image"));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,92 @@
+import { toCSV, toJSON, entryRows, buildSnapshotSVG, downloadFile } from "./exportData";
+import { parseRows } from "./csv";
+
+describe("toCSV", () => {
+  test("writes a header of every column, in first-seen order", () => {
+    const csv = toCSV([{ date: "2026-01-01", balance: 100 }, { date: "2026-01-02", balance: 110, flow: 5 }]);
+    expect(csv).toBe("date,balance,flow\r\n2026-01-01,100,\r\n2026-01-02,110,5\r\n");
+  });
+
+  test("quotes fields with commas, quotes and line breaks", () => {
+    const csv = toCSV([{ note: 'took profit, "finally"' }, { note: "two\nlines" }]);
+    expect(parseRows(csv).map((r) => r.fields)).toEqual([["note"], ['took profit, "finally"'], ["two\nlines"]]);
+  });
+
+  test("splits range pairs into low and high columns", () => {
+    const csv = toCSV([{ date: "2026-02-01", projected: 120, band: [100, 140] }]);
+    expect(csv).toBe("date,projected,bandLow,bandHigh\r\n2026-02-01,120,100,140\r\n");
+  });
+
+  test("leaves null and undefined cells empty", () => {
+    expect(toCSV([{ a: null, b: undefined, c: 0 }])).toBe("a,c\r\n,0\r\n");
+  });
+});
+
+describe("toJSON", () => {
+  test("writes the rows with range pairs split", () => {
+    expect(JSON.parse(toJSON([{ date: "2026-02-01", band: [1, 2] }]))).toEqual([{ date: "2026-02-01", bandLow: 1, bandHigh: 2 }]);
+  });
+});
+
+describe("entryRows", () => {
+  test("adds P&L, profit and multiplier to each entry", () => {
+    const rows = entryRows([
+      { date: "2026-01-01", balance: 100, flow: 0, invested: 100, factor: 1 },
+      { date: "2026-01-02", balance: 160, flow: 50, invested: 150, factor: 1.1, note: "deposit" },
+    ]);
+    expect(rows[1]).toEqual({
+      date: "2026-01-02", balance: 160, flow: 50, invested: 150,
+      pnl: 10, profit: expect.closeTo(10, 10), multiplier: 1.1, note: "deposit",
+    });
+  });
+});
+
+describe("downloadFile", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  test("keeps the file's URL alive until the click has been handled", () => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => "blob:export");
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+
+    downloadFile("entries.csv", "date,balance\r\n", "text/csv");
+    expect(click).toHaveBeenCalled();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:export");
+    click.mockRestore();
+  });
+});
+
+describe("buildSnapshotSVG", () => {
+  test("draws the title and stat lines above a copy of the chart", () => {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", "600");
+    svg.setAttribute("height", "300");
+    svg.appendChild(document.createElementNS("http://www.w3.org/2000/svg", "path"));
+
+    const snap = buildSnapshotSVG(svg, { title: "100x Challenge", lines: ["Balance $1,000.00", "Overall"] });
+    expect(snap.width).toBe(600);
+    expect(snap.height).toBe(300 + 40 + 2 * 18);
+
+    const doc = new DOMParser().parseFromString(snap.markup, "image/svg+xml");
+    const texts = [...doc.querySelectorAll("text")].map((t) => t.textContent);
+    expect(texts).toEqual(["100x Challenge", "Balance $1,000.00", "Overall"]);
+    expect(doc.querySelector("svg svg path")).not.toBeNull();
+    expect(svg.getAttribute("y")).toBeNull(); // the rendered chart is left alone
+    expect(doc.querySelector("rect").getAttribute("fill")).toBe("#111118");
+  });
+
+  test("uses the theme's colors", () => {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    const snap = buildSnapshotSVG(svg, { title: "Light", lines: ["Overall"], colors: { panel: "#ffffff", text: "#15151d", muted: "#555a68" } });
+    const doc = new DOMParser().parseFromString(snap.markup, "image/svg+xml");
+    expect(doc.querySelector("rect").getAttribute("fill")).toBe("#ffffff");
+    expect([...doc.querySelectorAll("text")].map((t) => t.getAttribute("fill"))).toEqual(["#15151d", "#555a68"]);
+  });
+});
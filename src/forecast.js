@@ -0,0 +1,154 @@
+// Forward projection of a balance series: a deterministic compound-growth
+// trend plus an optional Monte Carlo band from resampled daily returns.
+// Multiples are time-weighted (see analytics.js), so deposits don't bring a
+// milestone closer.
+import { wealthIndex, daysBetween } from "./analytics";
+
+export const MILESTONES = [2, 5, 10, 50, 100];
+
+const DAY_MS = 86400000;
+
+export function addDays(date, days) {
+  const d = new Date(new Date(date + "T00:00:00Z").getTime() + days * DAY_MS);
+  return d.toISOString().slice(0, 10);
+}
+
+// Small seeded PRNG (mulberry32) so simulations are repeatable
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Historical compound growth per calendar day, or null without a time span
+export function compoundDailyRate(entries) {
+  const index = wealthIndex(entries);
+  if (index.length < 2) return null;
+  const days = daysBetween(index[0].date, index[index.length - 1].date);
+  if (days <= 0) return null;
+  return Math.pow(index[index.length - 1].value, 1 / days) - 1;
+}
+
+// Days until `current` grows to `target` at `rate` per day; 0 when already
+// there, null when the trend never gets there.
+export function daysToMultiple(current, target, rate) {
+  if (current >= target) return 0;
+  if (rate === null || rate <= 0 || current <= 0) return null;
+  return Math.ceil(Math.log(target / current) / Math.log(1 + rate));
+}
+
+// Per-day log returns. A return spanning several days (weekends, missed
+// entries) is spread evenly over them.
+export function dailyLogReturns(entries) {
+  const logs = [];
+  for (let i = 1; i < entries.length; i++) {
+    const prev = entries[i - 1], e = entries[i];
+    const growth = prev.balance > 0 ? (e.balance - (e.flow || 0)) / prev.balance : 0;
+    if (growth <= 0) continue;
+    const span = Math.max(1, daysBetween(prev.date, e.date));
+    const perDay = Math.log(growth) / span;
+    for (let d = 0; d < span; d++) logs.push(perDay);
+  }
+  return logs;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+// Bootstraps `paths` futures of `horizon` days from the daily returns.
+// Returns, per milestone, the 10th/50th/90th percentile of the day it is
+// first reached (null when fewer paths than that reach it), and the growth
+// percentiles at each of `sampleDays`.
+export function monteCarlo(logReturns, { current, milestones, horizon, sampleDays, paths = 400, seed = 1 }) {
+  if (!logReturns.length) return null;
+  const random = seededRandom(seed);
+  const hits = milestones.map(() => []);
+  const samples = sampleDays.map(() => []);
+
+  for (let p = 0; p < paths; p++) {
+    let logGrowth = 0, sample = 0;
+    const reached = milestones.map((m) => (current >= m ? 0 : null));
+    for (let day = 1; day <= horizon; day++) {
+      logGrowth += logReturns[Math.floor(random() * logReturns.length)];
+      const multiple = current * Math.exp(logGrowth);
+      milestones.forEach((m, i) => {
+        if (reached[i] === null && multiple >= m) reached[i] = day;
+      });
+      while (sample < sampleDays.length && sampleDays[sample] === day) {
+        samples[sample].push(Math.exp(logGrowth));
+        sample++;
+      }
+    }
+    reached.forEach((day, i) => hits[i].push(day === null ? Infinity : day));
+  }
+
+  const finite = (v) => (v === null || v === Infinity ? null : v);
+  return {
+    milestones: hits.map((days) => {
+      const sorted = days.sort((a, b) => a - b);
+      return {
+        low: finite(percentile(sorted, 0.1)),
+        median: finite(percentile(sorted, 0.5)),
+        high: finite(percentile(sorted, 0.9)),
+      };
+    }),
+    growth: samples.map((values) => {
+      const sorted = values.sort((a, b) => a - b);
+      return { p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+    }),
+  };
+}
+
+// Everything the 100x view needs: the trend rate, an estimated date (with a
+// simulated range when `simulate` is set) for each milestone multiple, and
+// the projected balance curve starting from the last entry. `scale` converts
+// the series' growth into multiples of a different start balance.
+export function buildForecast(entries, { milestones = MILESTONES, scale = 1, simulate = false, horizon = 3650, maxChartDays = 730, seed = 1 } = {}) {
+  const rate = compoundDailyRate(entries);
+  const index = wealthIndex(entries);
+  if (rate === null || !index.length) return null;
+
+  const last = entries[entries.length - 1];
+  const current = index[index.length - 1].value * scale;
+  const target = Math.max(...milestones);
+
+  // Chart out to the trend's target date, within sensible bounds
+  const toTarget = daysToMultiple(current, target, rate);
+  const chartDays = Math.max(30, Math.min(maxChartDays, toTarget ?? maxChartDays));
+  const step = Math.max(1, Math.round(chartDays / 60));
+  const sampleDays = [];
+  for (let d = step; d <= chartDays; d += step) sampleDays.push(d);
+
+  const sim = simulate
+    ? monteCarlo(dailyLogReturns(entries), { current, milestones, horizon, sampleDays, seed })
+    : null;
+
+  const dateIn = (days) => (days === null ? null : addDays(last.date, days));
+  return {
+    dailyRate: rate,
+    current,
+    milestones: milestones.map((multiple, i) => {
+      const days = daysToMultiple(current, multiple, rate);
+      return {
+        multiple,
+        reached: index.find((p) => p.value * scale >= multiple)?.date ?? null,
+        estimate: days !== null && days <= horizon ? dateIn(days) : null,
+        low: sim ? dateIn(sim.milestones[i].low) : null,
+        high: sim ? dateIn(sim.milestones[i].high) : null,
+      };
+    }),
+    curve: sampleDays.map((d, i) => ({
+      date: addDays(last.date, d),
+      projected: last.balance * Math.pow(1 + rate, d),
+      band: sim ? [last.balance * sim.growth[i].p10, last.balance * sim.growth[i].p90] : null,
+    })),
+  };
+}
@@ -0,0 +1,104 @@
+import {
+  addDays,
+  seededRandom,
+  compoundDailyRate,
+  daysToMultiple,
+  dailyLogReturns,
+  monteCarlo,
+  buildForecast,
+} from "./forecast";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+
+describe("trend", () => {
+  test("adds days across month and year ends", () => {
+    expect(addDays("2025-12-30", 3)).toBe("2026-01-02");
+    expect(addDays("2024-02-28", 1)).toBe("2024-02-29");
+  });
+
+  test("fits the compound daily rate, ignoring deposits", () => {
+    expect(compoundDailyRate([e("2026-01-01", 100), e("2026-01-11", 200)])).toBeCloseTo(Math.pow(2, 0.1) - 1);
+    expect(compoundDailyRate([e("2026-01-01", 100), e("2026-01-11", 200, 100)])).toBeCloseTo(0);
+  });
+
+  test("needs a time span", () => {
+    expect(compoundDailyRate([e("2026-01-01", 100)])).toBeNull();
+  });
+
+  test("counts days to a multiple", () => {
+    expect(daysToMultiple(1, 2, 0.01)).toBe(70);
+    expect(daysToMultiple(3, 2, 0.01)).toBe(0);
+    expect(daysToMultiple(1, 2, -0.01)).toBeNull();
+    expect(daysToMultiple(1, 2, null)).toBeNull();
+  });
+});
+
+describe("simulation", () => {
+  test("repeats for the same seed", () => {
+    const a = seededRandom(7), b = seededRandom(7);
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+
+  test("spreads a multi-day return over its days", () => {
+    const logs = dailyLogReturns([e("2026-01-01", 100), e("2026-01-03", 121), e("2026-01-04", 121)]);
+    expect(logs).toEqual([expect.closeTo(Math.log(1.1)), expect.closeTo(Math.log(1.1)), 0]);
+  });
+
+  test("reaches milestones on schedule with a constant return", () => {
+    const sim = monteCarlo([Math.log(2)], { current: 1, milestones: [2, 7.9, 1000], horizon: 5, sampleDays: [1, 5] });
+    expect(sim.milestones).toEqual([
+      { low: 1, median: 1, high: 1 },
+      { low: 3, median: 3, high: 3 },
+      { low: null, median: null, high: null },
+    ]);
+    expect(sim.growth.map((g) => g.p50)).toEqual([expect.closeTo(2), expect.closeTo(32)]);
+  });
+
+  test("returns null without returns to resample", () => {
+    expect(monteCarlo([], { current: 1, milestones: [2], horizon: 5, sampleDays: [] })).toBeNull();
+  });
+});
+
+describe("buildForecast", () => {
+  const doubling = [e("2026-01-01", 100), e("2026-01-11", 200)];
+
+  test("dates each milestone from the last entry", () => {
+    const f = buildForecast(doubling);
+    const [two, five] = f.milestones;
+    expect(two).toEqual({ multiple: 2, reached: "2026-01-11", estimate: "2026-01-11", low: null, high: null });
+    expect(five.reached).toBeNull();
+    expect(five.estimate).toBe(addDays("2026-01-11", Math.ceil(Math.log(2.5) / Math.log(Math.pow(2, 0.1)))));
+  });
+
+  test("projects the balance curve forward", () => {
+    const f = buildForecast(doubling);
+    expect(f.curve[0].date > "2026-01-11").toBe(true);
+    expect(f.curve[f.curve.length - 1].projected).toBeGreaterThan(200 * 50);
+    expect(f.curve[0].band).toBeNull();
+  });
+
+  test("measures multiples from a scaled start balance", () => {
+    const f = buildForecast(doubling, { milestones: [2, 4], scale: 2 });
+    expect(f.current).toBe(4);
+    expect(f.milestones.map((m) => m.reached)).toEqual(["2026-01-01", "2026-01-11"]);
+  });
+
+  test("has no estimate when the trend is flat or falling", () => {
+    const f = buildForecast([e("2026-01-01", 100), e("2026-01-11", 90)]);
+    expect(f.milestones.every((m) => m.estimate === null)).toBe(true);
+  });
+
+  test("adds a simulated range and band", () => {
+    const f = buildForecast(
+      [e("2026-01-01", 100), e("2026-01-02", 110), e("2026-01-03", 105), e("2026-01-04", 120)],
+      { simulate: true }
+    );
+    const hundred = f.milestones[f.milestones.length - 1];
+    expect(hundred.low <= hundred.high).toBe(true);
+    f.curve.forEach(({ band }) => expect(band[0]).toBeLessThanOrEqual(band[1]));
+  });
+
+  test("returns null for a single entry", () => {
+    expect(buildForecast([e("2026-01-01", 100)])).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+// Number and date formatting shared by the views. Amounts are formatted
+// with their currency by fmtMoney in currency.js.
+
+export function fmtPct(ratio, digits = 2) {
+  const pct = ratio * 100;
+  return (pct >= 0 ? "+" : "") + pct.toFixed(digits) + "%";
+}
+
+// NEW: Helper to format date nicely (e.g. "Jan 31")
+export function formatDatePretty(dateStr) {
+  if (!dateStr || dateStr.includes("Start")) return dateStr;
+  const d = new Date(dateStr);
+  return d.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+}
+
+// Date with the year, for spans that may cross years (e.g. "Jan 31, 2026")
+export function formatDateLong(dateStr) {
+  if (!dateStr) return dateStr;
+  const d = new Date(dateStr + "T00:00:00");
+  return d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+}
+
+// Two dates read the same way as formatDateLong, with the year only at the
+// end unless they fall in different years (e.g. "Jan 31 – Feb 3, 2026")
+export function formatDateSpan(from, to, separator = "–") {
+  const start = from.slice(0, 4) === to.slice(0, 4)
+    ? new Date(from + "T00:00:00").toLocaleDateString("en-US", { month: "short", day: "numeric" })
+    : formatDateLong(from);
+  return `${start} ${separator} ${formatDateLong(to)}`;
+}
+
+// Time of a load, with the date only when it wasn't today (e.g. "14:05" or "Jan 31, 2026 14:05")
+export function formatUpdated(timestamp) {
+  const d = new Date(timestamp);
+  const time = d.toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit" });
+  if (d.toDateString() === new Date().toDateString()) return time;
+  return d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) + " " + time;
+}
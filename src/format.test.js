@@ -0,0 +1,17 @@
+import { formatDateLong, formatDateSpan } from "./format";
+
+// West of UTC, where a UTC-parsed "YYYY-MM-DD" falls on the day before
+const TZ = process.env.TZ;
+beforeAll(() => { process.env.TZ = "America/New_York"; });
+afterAll(() => { process.env.TZ = TZ; });
+
+describe("formatDateSpan", () => {
+  test("reads both ends as local dates", () => {
+    expect(formatDateLong("2026-02-01")).toBe("Feb 1, 2026");
+    expect(formatDateSpan("2026-01-01", "2026-02-01")).toBe("Jan 1 – Feb 1, 2026");
+  });
+
+  test("gives both years when the span crosses one", () => {
+    expect(formatDateSpan("2025-12-31", "2026-01-01", "→")).toBe("Dec 31, 2025 → Jan 1, 2026");
+  });
+});
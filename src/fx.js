@@ -0,0 +1,152 @@
+// Exchange rates by date, and converting balance series between currencies.
+//
+// A rate table is a CSV with a date column and one column per currency,
+// each holding how many units of that currency one unit of the base
+// currency buys on that date:
+//
+//   Date,EUR,GBP,JPY
+//   2025-01-01,0.97,0.80,157
+//
+// The base is a column whose rates are all 1, or USD when there is none.
+// A date between two rows uses the earlier row; one before the table uses
+// its first row.
+
+import { parseRows, detectDelimiter, detectDateFormat, detectNumberLocale, normalizeDate, parseAmount } from "./csv";
+import { CURRENCIES, DEFAULT_CURRENCY } from "./currency";
+
+const SETTINGS_KEY = "portfolioTracker.currency";
+
+// Where the rates come from: the bundled table, a CSV URL or a picked file
+export const FX_SOURCES = [
+  { id: "bundled", label: "Bundled rates" },
+  { id: "csv", label: "CSV URL" },
+  { id: "file", label: "CSV file" },
+];
+
+export const DEFAULT_CURRENCY_SETTINGS = { display: DEFAULT_CURRENCY, rates: { type: "bundled" } };
+
+// Approximate quarterly reference rates per US dollar, good enough for a
+// rough picture. Load a table of your own for exact conversions.
+export const BUNDLED_RATES = `Date,USD,EUR,GBP,JPY,CHF,CAD,AUD
+2023-01-01,1,0.93,0.83,131,0.92,1.35,1.47
+2023-04-01,1,0.92,0.81,133,0.91,1.35,1.50
+2023-07-01,1,0.92,0.79,144,0.89,1.32,1.50
+2023-10-01,1,0.95,0.82,149,0.91,1.36,1.56
+2024-01-01,1,0.91,0.79,141,0.84,1.32,1.47
+2024-04-01,1,0.93,0.79,151,0.90,1.35,1.53
+2024-07-01,1,0.93,0.79,161,0.90,1.37,1.50
+2024-10-01,1,0.90,0.75,143,0.85,1.35,1.45
+2025-01-01,1,0.97,0.80,157,0.91,1.44,1.61
+2025-04-01,1,0.92,0.77,150,0.88,1.43,1.60
+2025-07-01,1,0.85,0.73,144,0.79,1.36,1.52`;
+
+// Reads a rate table into `{ base, rows: [{ date, rates }] }`, rows sorted
+// by date. Date order and decimal separator are detected as for balance
+// sheets. Rates that can't be read are left out of their row.
+export function parseFxTable(text) {
+  const records = parseRows(text.trim(), detectDelimiter(text));
+  if (records.length < 2) return { base: DEFAULT_CURRENCY, rows: [] };
+
+  const codes = records[0].fields.map((name) => name.trim().toUpperCase());
+  const body = records.slice(1);
+  const dateFormat = detectDateFormat(body.map((r) => r.fields[0] || "")).format;
+  const locale = detectNumberLocale(body.flatMap((r) => r.fields.slice(1)).filter(Boolean)).locale;
+  const rows = [];
+  body.forEach(({ fields }) => {
+    const date = normalizeDate(fields[0], dateFormat);
+    if (!date) return;
+    const rates = {};
+    codes.forEach((code, i) => {
+      if (i === 0 || !CURRENCIES.includes(code)) return;
+      const rate = parseAmount(fields[i], locale);
+      if (rate > 0) rates[code] = rate;
+    });
+    rows.push({ date, rates });
+  });
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+
+  const base = codes.find((code) => CURRENCIES.includes(code) && rows.every((r) => r.rates[code] === 1));
+  return { base: base ?? DEFAULT_CURRENCY, rows };
+}
+
+// Units of `currency` per unit of the table's base on `date`, or null when
+// the table has no rate for it
+export function rateOn(table, currency, date) {
+  if (currency === table.base) return 1;
+  let rate = null;
+  for (const row of table.rows) {
+    if (row.rates[currency] === undefined) continue;
+    if (row.date > date && rate !== null) break;
+    rate = row.rates[currency];
+    if (row.date > date) break;
+  }
+  return rate;
+}
+
+// How many units of `to` one unit of `from` buys on `date`, or null
+export function fxRate(table, from, to, date) {
+  if (from === to) return 1;
+  const f = rateOn(table, from, date);
+  const t = rateOn(table, to, date);
+  return f && t ? t / f : null;
+}
+
+// Converts an account's entries from `currency` (or each entry's own
+// currency) into `to` at each entry's date. Entries without a rate are kept
+// as they were and their currencies listed in `missing`.
+export function convertEntries(entries, currency, to, table) {
+  const missing = new Set();
+  const converted = entries.map((e) => {
+    const from = e.currency ?? currency;
+    const { currency: _, ...entry } = e;
+    if (from === to) return entry;
+    const rate = fxRate(table, from, to, e.date);
+    if (rate === null) {
+      missing.add(from);
+      return entry;
+    }
+    const converted = { ...entry, balance: e.balance * rate, flow: (e.flow || 0) * rate };
+    // The sheet's values behind a conflicting edit (see journal.js)
+    if (e.conflict && e.conflict.balance !== null) {
+      converted.conflict = { ...e.conflict, balance: e.conflict.balance * rate, flow: (e.conflict.flow || 0) * rate };
+    }
+    return converted;
+  });
+  return { entries: converted, missing: [...missing] };
+}
+
+// Loads the rate table `rates` points at. `fetchImpl` lets tests swap in a
+// stand-in.
+export async function loadFxTable(rates, fetchImpl = fetch) {
+  switch (rates?.type) {
+    case "csv": {
+      const res = await fetchImpl(rates.url);
+      if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
+      return parseFxTable(await res.text());
+    }
+    case "file":
+      return parseFxTable(rates.text || "");
+    default:
+      return parseFxTable(BUNDLED_RATES);
+  }
+}
+
+export function loadCurrencySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && CURRENCIES.includes(saved.display) && FX_SOURCES.some((s) => s.id === saved.rates?.type)) {
+      return saved;
+    }
+  } catch (e) {
+    // Unreadable settings fall back to US dollars and the bundled rates
+  }
+  return DEFAULT_CURRENCY_SETTINGS;
+}
+
+export function saveCurrencySettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Storage full or unavailable: the settings still apply for this session
+  }
+}
@@ -0,0 +1,128 @@
+import {
+  parseFxTable, rateOn, fxRate, convertEntries, loadFxTable, loadCurrencySettings, saveCurrencySettings,
+  DEFAULT_CURRENCY_SETTINGS,
+} from "./fx";
+
+const TABLE = parseFxTable("Date,EUR,GBP\n2026-01-01,0.9,0.8\n2026-02-01,0.8,\n2026-03-01,0.95,0.75");
+
+describe("parseFxTable", () => {
+  test("reads rates by date against USD", () => {
+    expect(TABLE.base).toBe("USD");
+    expect(TABLE.rows).toEqual([
+      { date: "2026-01-01", rates: { EUR: 0.9, GBP: 0.8 } },
+      { date: "2026-02-01", rates: { EUR: 0.8 } },
+      { date: "2026-03-01", rates: { EUR: 0.95, GBP: 0.75 } },
+    ]);
+  });
+
+  test("takes the column that is always 1 as the base", () => {
+    const table = parseFxTable("Date;EUR;USD\n01.01.2026;1;1,10\n");
+    expect(table.base).toBe("EUR");
+    expect(table.rows[0].rates.USD).toBe(1.1);
+  });
+
+  test("ignores unknown currencies and unreadable dates", () => {
+    const table = parseFxTable("Date,XYZ,EUR\nsoon,1,2\n2026-01-01,5,0.9");
+    expect(table.rows).toEqual([{ date: "2026-01-01", rates: { EUR: 0.9 } }]);
+  });
+});
+
+describe("rateOn", () => {
+  test("uses the latest rate on or before the date", () => {
+    expect(rateOn(TABLE, "EUR", "2026-02-15")).toBe(0.8);
+    expect(rateOn(TABLE, "EUR", "2026-03-01")).toBe(0.95);
+    expect(rateOn(TABLE, "GBP", "2026-02-15")).toBe(0.8);
+  });
+
+  test("uses the first rate before the table starts", () => {
+    expect(rateOn(TABLE, "EUR", "2025-06-01")).toBe(0.9);
+  });
+
+  test("is 1 for the base and null for a currency the table lacks", () => {
+    expect(rateOn(TABLE, "USD", "2026-01-01")).toBe(1);
+    expect(rateOn(TABLE, "JPY", "2026-01-01")).toBeNull();
+  });
+});
+
+describe("fxRate", () => {
+  test("crosses through the base", () => {
+    expect(fxRate(TABLE, "USD", "EUR", "2026-01-15")).toBeCloseTo(0.9);
+    expect(fxRate(TABLE, "EUR", "USD", "2026-01-15")).toBeCloseTo(1 / 0.9);
+    expect(fxRate(TABLE, "GBP", "EUR", "2026-01-15")).toBeCloseTo(0.9 / 0.8);
+    expect(fxRate(TABLE, "JPY", "EUR", "2026-01-15")).toBeNull();
+  });
+});
+
+describe("convertEntries", () => {
+  test("converts balances and flows at each entry's date", () => {
+    const { entries, missing } = convertEntries(
+      [
+        { date: "2026-01-15", balance: 100, flow: 0 },
+        { date: "2026-02-15", balance: 200, flow: 50, note: "top-up" },
+      ],
+      "USD", "EUR", TABLE
+    );
+    expect(entries[0].balance).toBeCloseTo(90);
+    expect(entries[1]).toMatchObject({ balance: 160, flow: 40, note: "top-up" });
+    expect(missing).toEqual([]);
+  });
+
+  test("converts the sheet's values of a conflicting edit", () => {
+    const { entries } = convertEntries(
+      [
+        { date: "2026-01-15", balance: 100, flow: 0, local: true, conflict: { balance: 120, flow: 10 } },
+        { date: "2026-01-16", balance: 100, flow: 0, local: true, conflict: { balance: null, flow: null } },
+      ],
+      "USD", "EUR", TABLE
+    );
+    expect(entries[0].conflict.balance).toBeCloseTo(108);
+    expect(entries[0].conflict.flow).toBeCloseTo(9);
+    expect(entries[1].conflict).toEqual({ balance: null, flow: null });
+  });
+
+  test("honours a row's own currency", () => {
+    const { entries } = convertEntries(
+      [{ date: "2026-01-15", balance: 100, flow: 0, currency: "EUR" }, { date: "2026-01-16", balance: 100, flow: 0 }],
+      "USD", "USD", TABLE
+    );
+    expect(entries[0].balance).toBeCloseTo(100 / 0.9);
+    expect(entries[0].currency).toBeUndefined();
+    expect(entries[1].balance).toBe(100);
+  });
+
+  test("keeps entries it has no rate for and lists their currency", () => {
+    const { entries, missing } = convertEntries([{ date: "2026-01-15", balance: 100, flow: 0 }], "JPY", "EUR", TABLE);
+    expect(entries[0].balance).toBe(100);
+    expect(missing).toEqual(["JPY"]);
+  });
+});
+
+describe("loadFxTable", () => {
+  test("loads the bundled table by default", async () => {
+    const table = await loadFxTable({ type: "bundled" });
+    expect(table.base).toBe("USD");
+    expect(rateOn(table, "EUR", "2025-01-15")).toBeGreaterThan(0);
+  });
+
+  test("loads a CSV URL", async () => {
+    const fetchImpl = async () => ({ ok: true, status: 200, text: async () => "Date,EUR\n2026-01-01,0.9" });
+    expect((await loadFxTable({ type: "csv", url: "http://x/fx.csv" }, fetchImpl)).rows).toHaveLength(1);
+    await expect(loadFxTable({ type: "csv", url: "http://x" }, async () => ({ ok: false, status: 404 }))).rejects.toThrow("404");
+  });
+});
+
+describe("currency settings", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("round-trips through storage", () => {
+    const settings = { display: "EUR", rates: { type: "csv", url: "http://x/fx.csv" } };
+    saveCurrencySettings(settings);
+    expect(loadCurrencySettings()).toEqual(settings);
+  });
+
+  test("falls back to the defaults", () => {
+    expect(loadCurrencySettings()).toBe(DEFAULT_CURRENCY_SETTINGS);
+    localStorage.setItem("portfolioTracker.currency", JSON.stringify({ display: "XYZ", rates: { type: "bundled" } }));
+    expect(loadCurrencySettings()).toBe(DEFAULT_CURRENCY_SETTINGS);
+  });
+});
@@ -0,0 +1,91 @@
+// The challenge goal: what counts as the start, what the target is, and the
+// milestones on the way. Multiples are time-weighted (see analytics.js).
+import { wealthIndex, daysBetween } from "./analytics";
+
+export const DEFAULT_GOAL = {
+  title: "100x Challenge",
+  targetType: "multiple", // "multiple" | "amount"
+  targetMultiple: 100,
+  targetAmount: null,
+  deadline: null, // "YYYY-MM-DD"
+  startDate: null, // first entry on or after this date is the start
+  startBalance: null, // overrides the start entry's balance
+  milestones: [2, 5, 10, 50],
+};
+
+const SETTINGS_KEY = "portfolioTracker.goal";
+
+export function loadGoalSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (saved && typeof saved === "object") return { ...DEFAULT_GOAL, ...saved };
+  } catch (e) {
+    // Unreadable settings fall back to the default goal
+  }
+  return DEFAULT_GOAL;
+}
+
+export function saveGoalSettings(goal) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(goal));
+  } catch (e) {
+    // Storage full or unavailable: the goal still applies for this session
+  }
+}
+
+// Resolves the goal against a sorted series. Returns null without entries
+// on or after the start date. `scale` converts the series' own growth into
+// growth from the configured start balance.
+export function resolveGoal(goal, entries) {
+  const startIdx = goal.startDate ? entries.findIndex((e) => e.date >= goal.startDate) : 0;
+  if (startIdx < 0 || !entries.length) return null;
+
+  const challenge = entries.slice(startIdx);
+  const startEntry = challenge[0];
+  const startBalance = goal.startBalance > 0 ? goal.startBalance : startEntry.balance;
+  const scale = startEntry.balance / startBalance;
+
+  const index = wealthIndex(challenge);
+  const currentMultiple = index[index.length - 1].value * scale;
+
+  const targetMultiple =
+    goal.targetType === "amount" && goal.targetAmount > 0
+      ? goal.targetAmount / startBalance
+      : goal.targetMultiple > 0 ? goal.targetMultiple : DEFAULT_GOAL.targetMultiple;
+
+  const reachedOn = (multiple) => index.find((p) => p.value * scale >= multiple)?.date ?? null;
+  const milestones = [...new Set(goal.milestones.filter((m) => m > 0 && m < targetMultiple))]
+    .sort((a, b) => a - b)
+    .concat(targetMultiple)
+    .map((multiple) => ({ multiple, balance: startBalance * multiple, reached: reachedOn(multiple) }));
+
+  // Compound daily growth needed to hit the target by the deadline
+  const last = challenge[challenge.length - 1];
+  let daysLeft = null, requiredDailyRate = null;
+  if (goal.deadline) {
+    daysLeft = daysBetween(last.date, goal.deadline);
+    if (daysLeft > 0 && currentMultiple > 0 && currentMultiple < targetMultiple) {
+      requiredDailyRate = Math.pow(targetMultiple / currentMultiple, 1 / daysLeft) - 1;
+    }
+  }
+
+  return {
+    title: goal.title || DEFAULT_GOAL.title,
+    entries: challenge,
+    startDate: startEntry.date,
+    startBalance,
+    scale,
+    currentMultiple,
+    targetMultiple,
+    targetBalance: startBalance * targetMultiple,
+    milestones,
+    deadline: goal.deadline,
+    daysLeft,
+    requiredDailyRate,
+  };
+}
+
+// "100x", "2.5x"
+export function formatMultiple(multiple) {
+  return (Number.isInteger(multiple) ? String(multiple) : multiple.toFixed(2).replace(/\.?0+$/, "")) + "x";
+}
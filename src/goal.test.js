@@ -0,0 +1,77 @@
+import { resolveGoal, formatMultiple, loadGoalSettings, saveGoalSettings, DEFAULT_GOAL } from "./goal";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+
+const SERIES = [
+  e("2025-12-01", 50),
+  e("2026-01-01", 100),
+  e("2026-01-10", 200),
+  e("2026-01-20", 600, 100),
+];
+
+describe("resolveGoal", () => {
+  test("defaults to 100x of the first entry", () => {
+    const g = resolveGoal(DEFAULT_GOAL, SERIES);
+    expect(g.startDate).toBe("2025-12-01");
+    expect(g.startBalance).toBe(50);
+    expect(g.targetBalance).toBe(5000);
+    expect(g.currentMultiple).toBeCloseTo(10); // 2 * 2 * 2.5, deposit excluded
+    expect(g.milestones.map((m) => [m.multiple, m.reached])).toEqual([
+      [2, "2026-01-01"],
+      [5, "2026-01-20"],
+      [10, "2026-01-20"],
+      [50, null],
+      [100, null],
+    ]);
+  });
+
+  test("starts from the first entry on or after the start date", () => {
+    const g = resolveGoal({ ...DEFAULT_GOAL, startDate: "2025-12-15" }, SERIES);
+    expect(g.startDate).toBe("2026-01-01");
+    expect(g.entries).toHaveLength(3);
+    expect(g.currentMultiple).toBeCloseTo(5);
+  });
+
+  test("scales multiples to a custom start balance", () => {
+    const g = resolveGoal({ ...DEFAULT_GOAL, startBalance: 25 }, SERIES);
+    expect(g.scale).toBe(2);
+    expect(g.currentMultiple).toBeCloseTo(20);
+  });
+
+  test("turns an absolute target into a multiple", () => {
+    const g = resolveGoal({ ...DEFAULT_GOAL, targetType: "amount", targetAmount: 1000, milestones: [5, 10, 50] }, SERIES);
+    expect(g.targetMultiple).toBe(20);
+    expect(g.milestones.map((m) => m.multiple)).toEqual([5, 10, 20]);
+  });
+
+  test("works out the growth needed by the deadline", () => {
+    const g = resolveGoal({ ...DEFAULT_GOAL, targetMultiple: 40, deadline: "2026-01-30" }, SERIES);
+    expect(g.daysLeft).toBe(10);
+    expect(g.requiredDailyRate).toBeCloseTo(Math.pow(4, 0.1) - 1);
+  });
+
+  test("returns null without entries after the start date", () => {
+    expect(resolveGoal({ ...DEFAULT_GOAL, startDate: "2027-01-01" }, SERIES)).toBeNull();
+    expect(resolveGoal(DEFAULT_GOAL, [])).toBeNull();
+  });
+});
+
+describe("goal settings", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("fills missing fields from the default", () => {
+    saveGoalSettings({ targetMultiple: 10 });
+    expect(loadGoalSettings()).toEqual({ ...DEFAULT_GOAL, targetMultiple: 10 });
+  });
+
+  test("ignores corrupt settings", () => {
+    localStorage.setItem("portfolioTracker.goal", "nope");
+    expect(loadGoalSettings()).toEqual(DEFAULT_GOAL);
+  });
+});
+
+test("formats multiples", () => {
+  expect(formatMultiple(100)).toBe("100x");
+  expect(formatMultiple(2.5)).toBe("2.5x");
+  expect(formatMultiple(12.3456)).toBe("12.35x");
+});
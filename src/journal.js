@@ -0,0 +1,92 @@
+// Entries added or changed in the app, kept locally and merged over the
+// entries loaded from each account's data source.
+//
+// The journal maps an account name to its edits, one per date:
+//   { date, balance, flow, note, deleted, sheet }
+// `balance`/`flow` are null to keep the sheet's value (a note-only edit),
+// `deleted` hides the date, and `sheet` is the sheet's { balance, flow } for
+// that date when the edit was made (null if it had no row), so a later change
+// on the sheet can be told apart from the edit itself.
+
+const JOURNAL_KEY = "portfolioTracker.journal";
+
+export function loadJournal() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(JOURNAL_KEY));
+    if (saved && typeof saved === "object") return saved;
+  } catch (e) {
+    // Unreadable journal: start empty
+  }
+  return {};
+}
+
+export function saveJournal(journal) {
+  try {
+    localStorage.setItem(JOURNAL_KEY, JSON.stringify(journal));
+  } catch (e) {
+    // Storage unavailable: edits last until the page is closed
+  }
+}
+
+const sheetValues = (entry) => (entry ? { balance: entry.balance, flow: entry.flow || 0 } : null);
+const sameValues = (a, b) => (a === null || b === null ? a === b : a.balance === b.balance && a.flow === b.flow);
+
+// Adds or replaces the edit for `edit.date` in one account, recording what
+// the sheet said at the time.
+export function putEdit(journal, account, edit, sheetEntries) {
+  const sheet = sheetValues(sheetEntries.find((e) => e.date === edit.date));
+  const edits = (journal[account] || []).filter((e) => e.date !== edit.date);
+  const next = { balance: null, flow: null, note: "", deleted: false, ...edit, sheet };
+  return { ...journal, [account]: [...edits, next].sort((a, b) => a.date.localeCompare(b.date)) };
+}
+
+// Drops the edit for `date`, going back to the sheet's row
+export function removeEdit(journal, account, date) {
+  const edits = (journal[account] || []).filter((e) => e.date !== date);
+  const { [account]: _, ...rest } = journal;
+  return edits.length ? { ...rest, [account]: edits } : rest;
+}
+
+// Accepts the sheet's current row as the base of the edit, keeping the edit
+export function keepEdit(journal, account, date, sheetEntries) {
+  const edit = (journal[account] || []).find((e) => e.date === date);
+  return edit ? putEdit(journal, account, edit, sheetEntries) : journal;
+}
+
+// The sheet's row disagrees with an edit when it changed since the edit was
+// made and now differs from what the edit shows.
+export function editConflict(edit, sheetEntry) {
+  const sheet = sheetValues(sheetEntry);
+  if (sameValues(sheet, edit.sheet)) return null;
+  if (edit.deleted) return sheet ? { ...sheet, deleted: true } : null;
+  const mine = { balance: edit.balance ?? sheet?.balance, flow: edit.flow ?? sheet?.flow ?? 0 };
+  return sameValues(sheet, mine) ? null : sheet ?? { balance: null, flow: 0 };
+}
+
+// Applies an account's edits to its sheet entries. Edited entries are marked
+// `local`, carry their note, and a `conflict` holding the sheet's values when
+// the two disagree.
+export function mergeJournal(entries, edits = []) {
+  const byDate = new Map(entries.map((e) => [e.date, e]));
+  const merged = new Map(byDate);
+  edits.forEach((edit) => {
+    const sheetEntry = byDate.get(edit.date);
+    if (edit.deleted) {
+      merged.delete(edit.date);
+      return;
+    }
+    const balance = edit.balance ?? sheetEntry?.balance;
+    if (balance === undefined) return; // a note for a date the sheet dropped
+    const entry = {
+      date: edit.date,
+      balance,
+      flow: edit.flow ?? sheetEntry?.flow ?? 0,
+      local: true,
+    };
+    if (edit.note) entry.note = edit.note;
+    const conflict = editConflict(edit, sheetEntry);
+    if (conflict) entry.conflict = conflict;
+    merged.set(edit.date, entry);
+  });
+  return [...merged.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
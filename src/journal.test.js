@@ -0,0 +1,98 @@
+import { mergeJournal, putEdit, removeEdit, keepEdit, editConflict, loadJournal, saveJournal } from "./journal";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+const SHEET = [e("2026-01-01", 100), e("2026-01-02", 110), e("2026-01-03", 120)];
+
+describe("putEdit / removeEdit", () => {
+  test("records the sheet's row at the time of the edit", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", balance: 115 }, SHEET);
+    expect(journal.Main).toEqual([
+      { date: "2026-01-02", balance: 115, flow: null, note: "", deleted: false, sheet: { balance: 110, flow: 0 } },
+    ]);
+  });
+
+  test("keeps one edit per date, sorted", () => {
+    let journal = putEdit({}, "Main", { date: "2026-01-03", balance: 1 }, SHEET);
+    journal = putEdit(journal, "Main", { date: "2026-01-01", balance: 2 }, SHEET);
+    journal = putEdit(journal, "Main", { date: "2026-01-03", balance: 3 }, SHEET);
+    expect(journal.Main.map((x) => [x.date, x.balance])).toEqual([["2026-01-01", 2], ["2026-01-03", 3]]);
+  });
+
+  test("removing the last edit drops the account", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", note: "hi" }, SHEET);
+    expect(removeEdit(journal, "Main", "2026-01-02")).toEqual({});
+  });
+});
+
+describe("mergeJournal", () => {
+  test("returns the sheet unchanged without edits", () => {
+    expect(mergeJournal(SHEET)).toEqual(SHEET);
+  });
+
+  test("overrides, adds and deletes entries", () => {
+    let journal = putEdit({}, "Main", { date: "2026-01-02", balance: 115, note: "took profit" }, SHEET);
+    journal = putEdit(journal, "Main", { date: "2026-01-04", balance: 130, flow: 10 }, SHEET);
+    journal = putEdit(journal, "Main", { date: "2026-01-03", deleted: true }, SHEET);
+    expect(mergeJournal(SHEET, journal.Main)).toEqual([
+      e("2026-01-01", 100),
+      { date: "2026-01-02", balance: 115, flow: 0, local: true, note: "took profit" },
+      { date: "2026-01-04", balance: 130, flow: 10, local: true },
+    ]);
+  });
+
+  test("a note-only edit follows the sheet's values", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", note: "rebalanced" }, SHEET);
+    const sheet = [e("2026-01-01", 100), e("2026-01-02", 111, 5)];
+    expect(mergeJournal(sheet, journal.Main)[1]).toEqual({ date: "2026-01-02", balance: 111, flow: 5, local: true, note: "rebalanced" });
+  });
+
+  test("flags a sheet row that changed since the edit", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", balance: 115 }, SHEET);
+    expect(mergeJournal(SHEET, journal.Main)[1].conflict).toBeUndefined();
+
+    const changed = [e("2026-01-01", 100), e("2026-01-02", 112)];
+    expect(mergeJournal(changed, journal.Main)[1].conflict).toEqual({ balance: 112, flow: 0 });
+  });
+
+  test("doesn't flag a sheet that now agrees with the edit", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", balance: 115 }, SHEET);
+    const agreed = [e("2026-01-01", 100), e("2026-01-02", 115)];
+    expect(mergeJournal(agreed, journal.Main)[1].conflict).toBeUndefined();
+  });
+
+  test("flags a date added locally that the sheet added too", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-04", balance: 130 }, SHEET);
+    const added = [...SHEET, e("2026-01-04", 125)];
+    expect(mergeJournal(added, journal.Main)[3].conflict).toEqual({ balance: 125, flow: 0 });
+  });
+
+  test("keeping an edit accepts the sheet's current row", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", balance: 115 }, SHEET);
+    const changed = [e("2026-01-01", 100), e("2026-01-02", 112)];
+    const kept = keepEdit(journal, "Main", "2026-01-02", changed);
+    expect(mergeJournal(changed, kept.Main)[1]).toEqual({ date: "2026-01-02", balance: 115, flow: 0, local: true });
+  });
+});
+
+describe("editConflict", () => {
+  test("flags a deleted date the sheet has since changed", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", deleted: true }, SHEET);
+    expect(editConflict(journal.Main[0], e("2026-01-02", 110))).toBeNull();
+    expect(editConflict(journal.Main[0], e("2026-01-02", 150))).toEqual({ balance: 150, flow: 0, deleted: true });
+  });
+});
+
+describe("journal settings", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("round-trips through localStorage", () => {
+    const journal = putEdit({}, "Main", { date: "2026-01-02", note: "hi" }, SHEET);
+    saveJournal(journal);
+    expect(loadJournal()).toEqual(journal);
+  });
+
+  test("ignores unreadable data", () => {
+    localStorage.setItem("portfolioTracker.journal", "{oops");
+    expect(loadJournal()).toEqual({});
+  });
+});
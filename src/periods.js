@@ -0,0 +1,72 @@
+// Resampling entries into day, week, month or quarter buckets with
+// open/high/low/close balances and each period's return.
+
+import { weekKey } from "./analytics";
+import { formatDatePretty } from "./format";
+import { MONTHS } from "./constants";
+
+export const PERIODS = [
+  { id: "day", label: "Day" },
+  { id: "week", label: "Week" },
+  { id: "month", label: "Month" },
+  { id: "quarter", label: "Quarter" },
+];
+
+// Bucket key of a date: the date itself, the week's Monday, "YYYY-MM" or "YYYY-Qn"
+export function periodKey(date, period) {
+  switch (period) {
+    case "week":
+      return weekKey(date);
+    case "month":
+      return date.slice(0, 7);
+    case "quarter":
+      return date.slice(0, 4) + "-Q" + Math.ceil(Number(date.slice(5, 7)) / 3);
+    default:
+      return date;
+  }
+}
+
+export function periodLabel(key, period) {
+  switch (period) {
+    case "week":
+      return "Wk of " + formatDatePretty(key);
+    case "month":
+      return MONTHS[Number(key.slice(5, 7)) - 1] + " " + key.slice(0, 4);
+    case "quarter":
+      return key.slice(5) + " " + key.slice(0, 4);
+    default:
+      return formatDatePretty(key);
+  }
+}
+
+// One bucket per period that has entries. Each period opens at the previous
+// period's close (its ghost baseline), or at the first entry for the first
+// one. `ret` is time-weighted and `pnl` excludes the period's deposits and
+// withdrawals (`flow`).
+export function resample(sortedEntries, period) {
+  const buckets = [];
+  sortedEntries.forEach((e, i) => {
+    const key = periodKey(e.date, period);
+    const prev = i > 0 ? sortedEntries[i - 1] : null;
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.key !== key) {
+      const open = prev ? prev.balance : e.balance;
+      bucket = { key, start: e.date, end: e.date, open, high: open, low: open, close: open, flow: 0, factor: 1 };
+      buckets.push(bucket);
+    }
+    bucket.end = e.date;
+    bucket.high = Math.max(bucket.high, e.balance);
+    bucket.low = Math.min(bucket.low, e.balance);
+    bucket.close = e.balance;
+    if (prev) {
+      bucket.flow += e.flow || 0;
+      if (prev.balance > 0) bucket.factor *= (e.balance - (e.flow || 0)) / prev.balance;
+    }
+  });
+  return buckets.map(({ factor, ...b }) => ({
+    ...b,
+    label: periodLabel(b.key, period),
+    ret: factor - 1,
+    pnl: b.close - b.open - b.flow,
+  }));
+}
@@ -0,0 +1,62 @@
+import { periodKey, periodLabel, resample } from "./periods";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+
+describe("periodKey", () => {
+  test("keys dates by day, week, month and quarter", () => {
+    expect(periodKey("2026-01-07", "day")).toBe("2026-01-07");
+    expect(periodKey("2026-01-07", "week")).toBe("2026-01-05");
+    expect(periodKey("2026-01-07", "month")).toBe("2026-01");
+    expect(periodKey("2026-01-07", "quarter")).toBe("2026-Q1");
+    expect(periodKey("2025-12-31", "quarter")).toBe("2025-Q4");
+  });
+
+  test("keys a week spanning the new year by its Monday", () => {
+    expect(periodKey("2026-01-01", "week")).toBe("2025-12-29");
+  });
+});
+
+describe("periodLabel", () => {
+  test("names each kind of period", () => {
+    expect(periodLabel("2026-01", "month")).toBe("Jan 2026");
+    expect(periodLabel("2026-Q2", "quarter")).toBe("Q2 2026");
+    expect(periodLabel("2026-01-05", "week")).toBe("Wk of Jan 5");
+  });
+});
+
+describe("resample", () => {
+  test("opens each period at the previous close", () => {
+    const buckets = resample(
+      [e("2026-01-30", 100), e("2026-02-02", 120), e("2026-02-10", 90), e("2026-02-27", 110), e("2026-03-02", 121)],
+      "month"
+    );
+    expect(buckets.map(({ key, open, high, low, close }) => ({ key, open, high, low, close }))).toEqual([
+      { key: "2026-01", open: 100, high: 100, low: 100, close: 100 },
+      { key: "2026-02", open: 100, high: 120, low: 90, close: 110 },
+      { key: "2026-03", open: 110, high: 121, low: 110, close: 121 },
+    ]);
+    expect(buckets[0].ret).toBe(0);
+    expect(buckets[1].ret).toBeCloseTo(0.1, 10);
+    expect(buckets[2].ret).toBeCloseTo(0.1, 10);
+    expect(buckets[1].start).toBe("2026-02-02");
+    expect(buckets[1].end).toBe("2026-02-27");
+  });
+
+  test("takes deposits and withdrawals out of the return and P&L", () => {
+    const buckets = resample([e("2026-01-01", 100), e("2026-01-02", 210, 100), e("2026-01-03", 150, -50)], "month");
+    expect(buckets).toHaveLength(1);
+    expect(buckets[0].flow).toBe(50);
+    expect(buckets[0].pnl).toBe(0);
+    expect(buckets[0].ret).toBeCloseTo(1.1 * (200 / 210) - 1, 10);
+  });
+
+  test("groups quarters across a year boundary", () => {
+    const buckets = resample([e("2025-11-15", 100), e("2025-12-31", 110), e("2026-01-02", 99)], "quarter");
+    expect(buckets.map((b) => [b.key, b.open, b.close])).toEqual([["2025-Q4", 100, 110], ["2026-Q1", 110, 99]]);
+    expect(buckets[1].ret).toBeCloseTo(-0.1, 10);
+  });
+
+  test("is empty without entries", () => {
+    expect(resample([], "week")).toEqual([]);
+  });
+});
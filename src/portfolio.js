@@ -0,0 +1,240 @@
+// The calculations behind the chart and the stat cards: building chart
+// series from balance entries, ghost baselines, and P&L / time-weighted
+// returns. Kept free of React so every view and the tests share one copy.
+//
+// Entries are `{ date: "YYYY-MM-DD", balance, flow }` sorted by date, where
+// a balance already includes that day's cash flow (deposit > 0, withdrawal
+// < 0). A period (a month, a year, a date range) is measured from its ghost
+// baseline: the last entry before it, or its own first entry when nothing
+// comes before.
+
+import { MONTHS } from "./constants";
+import { formatDatePretty } from "./format";
+
+// Month views and overlay series are keyed "YYYY-MM"
+export function isMonthKey(key) {
+  return /^\d{4}-\d{2}$/.test(key);
+}
+
+export function monthKey(year, monthIdx) {
+  return year + "-" + String(monthIdx + 1).padStart(2, "0");
+}
+
+// Entries whose date starts with `prefix` ("2025" or "2025-01"), plus the
+// entry just before them which acts as the 'ghost' baseline.
+export function periodWithBaseline(sortedEntries, prefix) {
+  const pe = sortedEntries.filter((e) => e.date.startsWith(prefix));
+  if (!pe.length) return { entries: [], prevEntry: null, baseline: 0 };
+  const firstEntryIdx = sortedEntries.indexOf(pe[0]);
+  const prevEntry = firstEntryIdx > 0 ? sortedEntries[firstEntryIdx - 1] : null;
+  return {
+    entries: pe,
+    prevEntry,
+    baseline: prevEntry ? prevEntry.balance : pe[0].balance,
+  };
+}
+
+// Walks a run of entries and attaches the money put in so far (`invested`) and
+// the time-weighted growth factor (`factor`). Each entry's balance is taken to
+// already include that day's cash flow, so the flow is backed out before
+// chaining the return. `start` is the ghost baseline entry, if any; without
+// one the first entry is the baseline and its own flow is ignored. A step
+// from a balance of zero or below has no meaningful return and leaves the
+// factor unchanged.
+export function accumulateReturns(entries, start) {
+  let prevBalance = start ? start.balance : null;
+  let invested = start ? start.balance : 0;
+  let factor = 1;
+  return entries.map((e) => {
+    if (prevBalance === null) {
+      invested = e.balance;
+    } else {
+      factor *= prevBalance > 0 ? (e.balance - (e.flow || 0)) / prevBalance : 1;
+      invested += e.flow || 0;
+    }
+    prevBalance = e.balance;
+    return { ...e, invested, factor };
+  });
+}
+
+const NO_RETURN = { pnl: 0, pct: 0, multi: 0 };
+
+// Where a run from accumulateReturns ends up: P&L net of cash flows, the
+// time-weighted return in percent and as a multiplier
+export function runReturn(accumulated) {
+  const end = accumulated[accumulated.length - 1];
+  if (!end) return NO_RETURN;
+  return { pnl: end.balance - end.invested, pct: (end.factor - 1) * 100, multi: end.factor };
+}
+
+// Return of a month or year (`prefix` "2025-01" or "2025") measured from
+// its ghost baseline, so year-to-date runs from the last entry of the year
+// before. Zero when the period has no entries.
+export function periodStats(sortedEntries, prefix) {
+  const { entries, prevEntry } = periodWithBaseline(sortedEntries, prefix);
+  return runReturn(accumulateReturns(entries, prevEntry));
+}
+
+// Return over a date range, given its indexes from rangeIndexes in
+// dateRange.js, measured from the entry before the range
+export function rangeStats(sortedEntries, bounds) {
+  if (!bounds) return null;
+  const acc = accumulateReturns(
+    sortedEntries.slice(bounds.start, bounds.end + 1),
+    bounds.start > 0 ? sortedEntries[bounds.baseline] : null
+  );
+  return { from: sortedEntries[bounds.start].date, to: acc[acc.length - 1].date, ...runReturn(acc) };
+}
+
+// Annualized money-weighted return (XIRR) of dated cash flows, where money
+// put in is negative and money taken out (including the final balance) is
+// positive. Solved by bisection; returns null when there is no solution.
+export function xirr(flows) {
+  if (flows.length < 2) return null;
+  const t0 = new Date(flows[0].date + "T00:00:00").getTime();
+  const years = flows.map(
+    (f) => (new Date(f.date + "T00:00:00").getTime() - t0) / (365 * 86400000)
+  );
+  const npv = (r) =>
+    flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + r, years[i]), 0);
+
+  let lo = -0.9999, hi = 1e6;
+  let fLo = npv(lo), fHi = npv(hi);
+  if (!isFinite(fLo) || !isFinite(fHi) || fLo * fHi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid);
+    if (Math.abs(fMid) < 1e-9) return mid;
+    if (fMid * fLo > 0) { lo = mid; fLo = fMid; } else { hi = mid; }
+  }
+  return (lo + hi) / 2;
+}
+
+// Money-weighted return of a whole series: the start balance and deposits
+// go in, withdrawals and the current balance come out
+export function moneyWeightedReturn(sortedEntries) {
+  if (sortedEntries.length < 2) return null;
+  const flows = sortedEntries.map((e, i) => ({ date: e.date, amount: i === 0 ? -e.balance : -(e.flow || 0) }));
+  const last = sortedEntries[sortedEntries.length - 1];
+  flows.push({ date: last.date, amount: last.balance });
+  return xirr(flows);
+}
+
+// Headline numbers of a whole series. P&L is net of deposits/withdrawals;
+// percentages and multipliers are time-weighted, the IRR money-weighted.
+export function overallStats(sortedEntries) {
+  const acc = accumulateReturns(sortedEntries, null);
+  const last = acc[acc.length - 1];
+  if (!last) {
+    return { overallPnl: 0, overallPct: 0, overallMulti: 0, netDeposits: 0, irrPct: null, currentBalance: 0 };
+  }
+  const { pnl, pct, multi } = runReturn(acc);
+  const irr = moneyWeightedReturn(sortedEntries);
+  return {
+    overallPnl: pnl,
+    overallPct: pct,
+    overallMulti: multi,
+    netDeposits: last.invested - sortedEntries[0].balance,
+    irrPct: irr === null ? null : irr * 100,
+    currentBalance: last.balance,
+  };
+}
+
+// Deposits/withdrawals are plotted as markers sitting on the balance line.
+// `i` is the entry's position in its series; the first entry's flow is
+// part of its starting balance and gets no marker.
+export function flowMarkers(e, i) {
+  const flow = i > 0 ? e.flow || 0 : 0;
+  return {
+    flow,
+    deposit: flow > 0 ? e.balance : null,
+    withdrawal: flow < 0 ? e.balance : null,
+  };
+}
+
+// Chart points of the Overall, 100x and Drawdown views from an accumulated
+// series. Returns are measured from `base` (an entry of the series, e.g. a
+// date range's baseline), or from the first entry; `scale` converts the
+// series' own growth into a multiple of another start (the goal's).
+export function returnPoints(series, { base = null, scale = 1 } = {}) {
+  const baseFactor = base ? base.factor : 1;
+  const baseGain = base ? base.invested - base.balance : 0;
+  return series.map((e, i) => ({
+    label: formatDatePretty(e.date),
+    date: e.date,
+    balance: e.balance,
+    invested: e.invested - baseGain,
+    profit: ((e.factor / baseFactor) * scale - 1) * 100,
+    multiplier: (e.factor / baseFactor) * scale,
+    note: e.note,
+    ...flowMarkers(e, i),
+  }));
+}
+
+// Chart points of a single month ("YYYY-MM"), led by a "Start" point for
+// its ghost baseline when there is one
+export function monthPoints(sortedEntries, key) {
+  const { entries, prevEntry } = periodWithBaseline(sortedEntries, key);
+  if (!entries.length) return [];
+
+  const data = accumulateReturns(entries, prevEntry).map((e, i) => ({
+    label: e.date.slice(8), // Just the day number
+    date: e.date,
+    balance: e.balance,
+    invested: e.invested,
+    profit: (e.factor - 1) * 100,
+    multiplier: e.factor,
+    note: e.note,
+    ...flowMarkers(e, prevEntry ? i + 1 : i),
+  }));
+
+  if (prevEntry) {
+    data.unshift({
+      label: "Start",
+      date: prevEntry.date,
+      balance: prevEntry.balance,
+      invested: prevEntry.balance,
+      profit: 0,
+      multiplier: 1,
+      flow: 0,
+      deposit: null,
+      withdrawal: null,
+    });
+  }
+  return data;
+}
+
+// Rows of the overlay view, one per day of the month ("01".."31"), each
+// holding the balance of every series that has an entry that day.
+// "months": every month of `year`, one series per month name.
+// "years": month `month` (0-11) across every year, one series per year.
+export function overlayRows(sortedEntries, { mode, year, month }) {
+  const dayMap = new Map();
+  sortedEntries.forEach((e) => {
+    const entryYear = Number(e.date.slice(0, 4));
+    const monthIdx = Number(e.date.slice(5, 7)) - 1;
+    const dayKey = e.date.slice(8, 10);
+    let seriesName;
+    if (mode === "years") {
+      if (monthIdx !== month) return;
+      seriesName = String(entryYear);
+    } else {
+      if (entryYear !== year) return;
+      seriesName = MONTHS[monthIdx];
+    }
+
+    if (!dayMap.has(dayKey)) dayMap.set(dayKey, { label: dayKey });
+    dayMap.get(dayKey)[seriesName] = e.balance;
+  });
+  return Array.from(dayMap.values()).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// Names of the overlay series that have data, in display order
+export function overlayNames(sortedEntries, { mode, year, month }) {
+  const months = new Set(sortedEntries.map((e) => e.date.slice(0, 7)));
+  if (mode === "years") {
+    const years = [...new Set(sortedEntries.map((e) => Number(e.date.slice(0, 4))))];
+    return years.filter((y) => months.has(monthKey(y, month))).map(String);
+  }
+  return MONTHS.filter((m, i) => months.has(monthKey(year, i)));
+}
@@ -0,0 +1,224 @@
+import {
+  isMonthKey,
+  monthKey,
+  periodWithBaseline,
+  accumulateReturns,
+  runReturn,
+  periodStats,
+  rangeStats,
+  xirr,
+  moneyWeightedReturn,
+  overallStats,
+  flowMarkers,
+  returnPoints,
+  monthPoints,
+  overlayRows,
+  overlayNames,
+} from "./portfolio";
+
+const e = (date, balance, flow = 0) => ({ date, balance, flow });
+
+// Crosses a year boundary, with a gap over the new year and a deposit
+const SERIES = [
+  e("2025-11-28", 1000),
+  e("2025-12-15", 1100),
+  e("2025-12-31", 1210),
+  e("2026-01-09", 1452),
+  e("2026-01-20", 1952, 500),
+  e("2026-02-03", 1757),
+];
+
+describe("keys", () => {
+  test("month keys", () => {
+    expect(monthKey(2026, 0)).toBe("2026-01");
+    expect(monthKey(2025, 11)).toBe("2025-12");
+    expect(isMonthKey("2026-01")).toBe(true);
+    expect(isMonthKey("overall")).toBe(false);
+    expect(isMonthKey("2026")).toBe(false);
+  });
+});
+
+describe("periodWithBaseline", () => {
+  test("takes the entry before the period as its ghost baseline", () => {
+    const { entries, prevEntry, baseline } = periodWithBaseline(SERIES, "2026-01");
+    expect(entries.map((x) => x.date)).toEqual(["2026-01-09", "2026-01-20"]);
+    expect(prevEntry.date).toBe("2025-12-31");
+    expect(baseline).toBe(1210);
+  });
+
+  test("the baseline of the first period is its own first entry", () => {
+    const { prevEntry, baseline } = periodWithBaseline(SERIES, "2025-11");
+    expect(prevEntry).toBeNull();
+    expect(baseline).toBe(1000);
+  });
+
+  test("a period without entries is empty", () => {
+    expect(periodWithBaseline(SERIES, "2024")).toEqual({ entries: [], prevEntry: null, baseline: 0 });
+  });
+});
+
+describe("accumulateReturns", () => {
+  test("chains time-weighted returns and counts money put in", () => {
+    const acc = accumulateReturns(SERIES, null);
+    expect(acc[2].factor).toBeCloseTo(1.21);
+    expect(acc[3].invested).toBe(1000);
+    // 1952 includes a 500 deposit: 1452 -> 1452 is flat
+    expect(acc[4].factor).toBeCloseTo(1.452);
+    expect(acc[4].invested).toBe(1500);
+  });
+
+  test("ignores the first entry's flow without a baseline", () => {
+    const acc = accumulateReturns([e("2026-01-01", 100, 100), e("2026-01-02", 110)], null);
+    expect(acc[0]).toMatchObject({ invested: 100, factor: 1 });
+    expect(acc[1].factor).toBeCloseTo(1.1);
+  });
+
+  test("starts from a ghost baseline", () => {
+    const acc = accumulateReturns([e("2026-01-09", 1452)], e("2025-12-31", 1210));
+    expect(acc[0].invested).toBe(1210);
+    expect(acc[0].factor).toBeCloseTo(1.2);
+  });
+
+  test("a single entry has no return", () => {
+    expect(accumulateReturns([e("2026-01-01", 100)], null)).toEqual([{ ...e("2026-01-01", 100), invested: 100, factor: 1 }]);
+  });
+
+  test("a zero or negative balance doesn't break the chain", () => {
+    const acc = accumulateReturns([e("2026-01-01", 100), e("2026-01-02", 0), e("2026-01-03", -5), e("2026-01-04", 50, 50)], null);
+    expect(acc[1].factor).toBe(0);
+    acc.forEach((x) => expect(Number.isFinite(x.factor)).toBe(true));
+    expect(acc[3].invested).toBe(150);
+  });
+
+  test("entries without a flow count as no flow", () => {
+    const acc = accumulateReturns([{ date: "2026-01-01", balance: 100 }, { date: "2026-01-02", balance: 120 }], null);
+    expect(acc[1]).toMatchObject({ invested: 100, factor: 1.2 });
+  });
+});
+
+describe("period and range returns", () => {
+  test("runReturn of nothing is zero", () => {
+    expect(runReturn([])).toEqual({ pnl: 0, pct: 0, multi: 0 });
+  });
+
+  test("a month is measured from the last entry of the month before", () => {
+    const jan = periodStats(SERIES, "2026-01");
+    expect(jan.pnl).toBeCloseTo(242);
+    expect(jan.pct).toBeCloseTo(20);
+    expect(jan.multi).toBeCloseTo(1.2);
+  });
+
+  test("year-to-date runs across the year boundary from Dec 31", () => {
+    const ytd = periodStats(SERIES, "2026");
+    expect(ytd.pnl).toBeCloseTo(1757 - 1210 - 500);
+    expect(ytd.multi).toBeCloseTo((1452 / 1210) * (1757 / 1952));
+  });
+
+  test("the first year is measured from its own first entry", () => {
+    expect(periodStats(SERIES, "2025").pct).toBeCloseTo(21);
+    expect(periodStats(SERIES, "2024")).toEqual({ pnl: 0, pct: 0, multi: 0 });
+  });
+
+  test("a range is measured from its baseline", () => {
+    expect(rangeStats(SERIES, null)).toBeNull();
+    const r = rangeStats(SERIES, { start: 3, end: 5, baseline: 2 });
+    expect(r).toMatchObject({ from: "2026-01-09", to: "2026-02-03" });
+    expect(r.pnl).toBeCloseTo(1757 - 1210 - 500);
+    const first = rangeStats(SERIES, { start: 0, end: 1, baseline: 0 });
+    expect(first.pct).toBeCloseTo(10);
+  });
+});
+
+describe("money-weighted return", () => {
+  test("xirr of a year's doubling is 100%", () => {
+    expect(xirr([{ date: "2025-01-01", amount: -100 }, { date: "2026-01-01", amount: 200 }])).toBeCloseTo(1, 4);
+  });
+
+  test("xirr needs two flows and a sign change", () => {
+    expect(xirr([{ date: "2025-01-01", amount: -100 }])).toBeNull();
+    expect(xirr([{ date: "2025-01-01", amount: 100 }, { date: "2026-01-01", amount: 200 }])).toBeNull();
+  });
+
+  test("counts deposits as money put in", () => {
+    const irr = moneyWeightedReturn([e("2025-01-01", 100), e("2025-07-02", 200, 100), e("2026-01-01", 200)]);
+    expect(irr).toBeCloseTo(0, 4);
+    expect(moneyWeightedReturn([e("2025-01-01", 100)])).toBeNull();
+  });
+});
+
+describe("overallStats", () => {
+  test("sums up the whole series", () => {
+    const s = overallStats(SERIES);
+    expect(s.currentBalance).toBe(1757);
+    expect(s.netDeposits).toBe(500);
+    expect(s.overallPnl).toBeCloseTo(257);
+    expect(s.overallMulti).toBeCloseTo(1.452 * (1757 / 1952));
+    expect(s.irrPct).not.toBeNull();
+  });
+
+  test("handles no entries and a single entry", () => {
+    expect(overallStats([])).toMatchObject({ overallPnl: 0, overallMulti: 0, irrPct: null, currentBalance: 0 });
+    expect(overallStats([e("2026-01-01", 100)])).toMatchObject({ overallPnl: 0, overallPct: 0, overallMulti: 1, irrPct: null });
+  });
+});
+
+describe("chart series", () => {
+  test("flow markers skip the first entry", () => {
+    expect(flowMarkers(e("2026-01-01", 100, 50), 0)).toEqual({ flow: 0, deposit: null, withdrawal: null });
+    expect(flowMarkers(e("2026-01-02", 100, 50), 1)).toEqual({ flow: 50, deposit: 100, withdrawal: null });
+    expect(flowMarkers(e("2026-01-03", 80, -20), 2)).toEqual({ flow: -20, deposit: null, withdrawal: 80 });
+  });
+
+  test("return points are measured from a base entry", () => {
+    const acc = accumulateReturns(SERIES, null);
+    const points = returnPoints(acc, { base: acc[2] });
+    expect(points[2]).toMatchObject({ profit: 0, multiplier: 1, invested: 1210 });
+    expect(points[3].profit).toBeCloseTo(20);
+    expect(points[4]).toMatchObject({ invested: 1710, deposit: 1952 });
+    expect(points[0].label).toBe("Nov 28");
+  });
+
+  test("return points can be scaled to another start", () => {
+    const points = returnPoints(accumulateReturns(SERIES.slice(0, 2), null), { scale: 0.5 });
+    expect(points[0].multiplier).toBe(0.5);
+    expect(points[1].multiplier).toBeCloseTo(0.55);
+  });
+
+  test("a month starts with its ghost baseline", () => {
+    const points = monthPoints(SERIES, "2026-01");
+    expect(points.map((p) => p.label)).toEqual(["Start", "09", "20"]);
+    expect(points[0]).toMatchObject({ date: "2025-12-31", balance: 1210, profit: 0 });
+    expect(points[2]).toMatchObject({ flow: 500, deposit: 1952 });
+    expect(points[2].profit).toBeCloseTo(20);
+  });
+
+  test("the first month has no ghost and no marker on its first entry", () => {
+    const points = monthPoints([e("2026-01-05", 100, 100), e("2026-01-06", 110)], "2026-01");
+    expect(points.map((p) => p.label)).toEqual(["05", "06"]);
+    expect(points[0].deposit).toBeNull();
+    expect(monthPoints(SERIES, "2024-01")).toEqual([]);
+  });
+});
+
+describe("overlay", () => {
+  const entries = [e("2025-01-03", 100), e("2025-02-03", 110), e("2026-01-03", 120), e("2026-01-17", 130)];
+
+  test("months of a year share day rows", () => {
+    expect(overlayRows(entries, { mode: "months", year: 2025 })).toEqual([{ label: "03", Jan: 100, Feb: 110 }]);
+    expect(overlayNames(entries, { mode: "months", year: 2025 })).toEqual(["Jan", "Feb"]);
+  });
+
+  test("one month across years", () => {
+    expect(overlayRows(entries, { mode: "years", month: 0 })).toEqual([
+      { label: "03", 2025: 100, 2026: 120 },
+      { label: "17", 2026: 130 },
+    ]);
+    expect(overlayNames(entries, { mode: "years", month: 0 })).toEqual(["2025", "2026"]);
+    expect(overlayNames(entries, { mode: "years", month: 1 })).toEqual(["2025"]);
+  });
+
+  test("nothing to overlay", () => {
+    expect(overlayRows([], { mode: "months", year: 2026 })).toEqual([]);
+    expect(overlayNames(entries, { mode: "months", year: 2024 })).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+// Colors of the app, as a theme: a light or dark set of surfaces and greys,
+// plus a palette of accents. Components read it with useTheme() and build
+// their inline styles from it, so colors stay real hex values that can be
+// tinted by appending an alpha (`theme.gain + "20"`) and survive being
+// copied into a chart snapshot.
+
+import { createContext, useContext } from "react";
+
+const KEY = "portfolioTracker.theme";
+
+export const THEME_MODES = [
+  { id: "dark", label: "Dark" },
+  { id: "light", label: "Light" },
+];
+
+export const PALETTES = [
+  { id: "standard", label: "Standard" },
+  { id: "colorblind", label: "Colorblind-safe" },
+];
+
+// Surfaces, from the page background up, and text greys from the
+// strongest down
+const SURFACES = {
+  dark: {
+    page: "#0e0e14",
+    panel: "#111118",
+    control: "#1a1a24",
+    divider: "#1e1e2a",
+    border: "#2a2a3a",
+    grid: "#1a1a26",
+    empty: "#16161e",
+    text: "#e8e8e8",
+    body: "#ccc",
+    muted: "#888",
+    subtle: "#666",
+    faint: "#555",
+    label: "#444",
+    ghost: "#333",
+    tooltip: "rgba(14,14,20,0.96)",
+    shadow: "rgba(0,0,0,0.5)",
+  },
+  light: {
+    page: "#f4f5f9",
+    panel: "#ffffff",
+    control: "#eceef4",
+    divider: "#e0e3eb",
+    border: "#c9cdd8",
+    grid: "#eceef3",
+    empty: "#f0f1f5",
+    text: "#15151d",
+    body: "#2e3140",
+    muted: "#555a68",
+    subtle: "#626776",
+    faint: "#6c7180",
+    label: "#737886",
+    ghost: "#b4b8c4",
+    tooltip: "rgba(255,255,255,0.97)",
+    shadow: "rgba(30,40,70,0.12)",
+  },
+};
+
+// Accent slots are named after the standard palette's hues; the
+// colorblind-safe palette (Okabe-Ito) puts gains in blue and losses in
+// vermillion, which stay apart with any form of color blindness
+const ACCENTS = {
+  standard: {
+    gain: "#4caf7c",
+    loss: "#e05555",
+    blue: "#5b9bd5",
+    purple: "#ab47bc",
+    orange: "#f0a050",
+    teal: "#26a69a",
+    gold: "#f0c050",
+    series: [
+      "#ef5350", "#ec407a", "#ab47bc", "#7e57c2", "#5c6bc0", "#42a5f5",
+      "#29b6f6", "#26c6da", "#26a69a", "#66bb6a", "#9ccc65", "#d4e157",
+    ],
+  },
+  colorblind: {
+    gain: "#0072b2",
+    loss: "#d55e00",
+    blue: "#56b4e9",
+    purple: "#cc79a7",
+    orange: "#e69f00",
+    teal: "#009e73",
+    gold: "#f0e442",
+    series: [
+      "#332288", "#88ccee", "#44aa99", "#117733", "#999933", "#ddcc77",
+      "#cc6677", "#882255", "#aa4499", "#0072b2", "#e69f00", "#56b4e9",
+    ],
+  },
+};
+
+export const DEFAULT_THEME_SETTINGS = { mode: "dark", palette: "standard" };
+
+// Colors for theme settings `{ mode, palette }`
+export function buildTheme({ mode, palette }) {
+  const m = SURFACES[mode] ? mode : DEFAULT_THEME_SETTINGS.mode;
+  const p = ACCENTS[palette] ? palette : DEFAULT_THEME_SETTINGS.palette;
+  return { mode: m, palette: p, ...SURFACES[m], ...ACCENTS[p] };
+}
+
+// "#rrggbb" as an rgba() color with the given opacity
+export function withAlpha(hex, alpha) {
+  const n = parseInt(hex.slice(1, 7), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+// Arrow (and a space) put before a gain or loss, so its direction doesn't
+// rest on color alone
+export function trendMark(n) {
+  return n > 0 ? "▲ " : n < 0 ? "▼ " : "";
+}
+
+export const ThemeContext = createContext(buildTheme(DEFAULT_THEME_SETTINGS));
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+// Without saved settings the theme follows the system's light/dark setting
+export function loadThemeSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY));
+    if (saved && typeof saved === "object") return { ...DEFAULT_THEME_SETTINGS, ...saved };
+  } catch (e) {
+    // Unreadable settings fall back to the default theme
+  }
+  const light = typeof window !== "undefined" && window.matchMedia?.("(prefers-color-scheme: light)").matches;
+  return { ...DEFAULT_THEME_SETTINGS, mode: light ? "light" : "dark" };
+}
+
+export function saveThemeSettings(settings) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(settings));
+  } catch (e) {
+    // Storage full or unavailable: the theme still applies for this session
+  }
+}
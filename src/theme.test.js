@@ -0,0 +1,53 @@
+import { buildTheme, withAlpha, trendMark, loadThemeSettings, saveThemeSettings, DEFAULT_THEME_SETTINGS } from "./theme";
+
+describe("buildTheme", () => {
+  test("combines a mode's surfaces with a palette's accents", () => {
+    const dark = buildTheme({ mode: "dark", palette: "standard" });
+    expect(dark).toMatchObject({ mode: "dark", page: "#0e0e14", gain: "#4caf7c", loss: "#e05555" });
+    const light = buildTheme({ mode: "light", palette: "colorblind" });
+    expect(light).toMatchObject({ mode: "light", palette: "colorblind", page: "#f4f5f9", gain: "#0072b2", loss: "#d55e00" });
+  });
+
+  test("every mode and palette has the same colors", () => {
+    const keys = Object.keys(buildTheme(DEFAULT_THEME_SETTINGS)).sort();
+    ["light", "dark"].forEach((mode) => ["standard", "colorblind"].forEach((palette) => {
+      expect(Object.keys(buildTheme({ mode, palette })).sort()).toEqual(keys);
+    }));
+    expect(buildTheme({ mode: "light", palette: "colorblind" }).series).toHaveLength(12);
+  });
+
+  test("unknown settings fall back to the defaults", () => {
+    expect(buildTheme({ mode: "sepia", palette: "neon" })).toEqual(buildTheme(DEFAULT_THEME_SETTINGS));
+  });
+});
+
+describe("helpers", () => {
+  test("withAlpha", () => {
+    expect(withAlpha("#4caf7c", 0.5)).toBe("rgba(76,175,124,0.5)");
+    expect(withAlpha("#ffffff", 1)).toBe("rgba(255,255,255,1)");
+  });
+
+  test("trendMark", () => {
+    expect(trendMark(12.5)).toBe("▲ ");
+    expect(trendMark(-0.01)).toBe("▼ ");
+    expect(trendMark(0)).toBe("");
+  });
+});
+
+describe("storage", () => {
+  beforeEach(() => localStorage.clear());
+  afterEach(() => delete window.matchMedia);
+
+  test("round-trips the settings", () => {
+    saveThemeSettings({ mode: "light", palette: "colorblind" });
+    expect(loadThemeSettings()).toEqual({ mode: "light", palette: "colorblind" });
+  });
+
+  test("follows the system's light or dark setting until one is saved", () => {
+    expect(loadThemeSettings()).toEqual(DEFAULT_THEME_SETTINGS);
+    window.matchMedia = (query) => ({ matches: query === "(prefers-color-scheme: light)" });
+    expect(loadThemeSettings()).toEqual({ mode: "light", palette: "standard" });
+    localStorage.setItem("portfolioTracker.theme", "{");
+    expect(loadThemeSettings().mode).toBe("light");
+  });
+});
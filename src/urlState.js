@@ -0,0 +1,113 @@
+// The chart's state in the page's query string, so a link opens the same
+// chart. Only what is on screen is encoded; data sources and the local
+// journal stay in this browser.
+//
+//   ?view=2026-01&range=3M&account=Broker&year=2025&overlay=years&month=0&band=1&public=1&currency=EUR&goal={...}
+//
+// `range` is a preset ("1W" ... "1Y") or "YYYY-MM-DD..YYYY-MM-DD". `currency`
+// is the display currency and `goal` the goal's fields that differ from the
+// default, as JSON; without them the browser's own settings apply. Anything
+// unreadable is ignored and left at its default.
+
+import { RANGE_PRESETS, ALL_RANGE } from "./dateRange";
+import { ALL_ACCOUNTS } from "./accounts";
+import { CURRENCIES, DEFAULT_CURRENCY } from "./currency";
+import { DEFAULT_GOAL } from "./goal";
+
+const VIEWS = ["overall", "100x", "overlay", "drawdown"];
+const MONTH_VIEW = /^\d{4}-(0[1-9]|1[0-2])$/;
+const CUSTOM_RANGE = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_URL_STATE = {
+  view: "overall",
+  range: ALL_RANGE,
+  account: ALL_ACCOUNTS,
+  year: null,
+  overlayMode: "months",
+  overlayMonth: null,
+  showBand: false,
+  publicMode: false,
+  currency: null,
+  goal: null,
+};
+
+// The goal's fields that differ from the default, or null when none do
+function goalChanges(goal) {
+  const changes = Object.fromEntries(Object.keys(DEFAULT_GOAL)
+    .filter((key) => JSON.stringify(goal[key]) !== JSON.stringify(DEFAULT_GOAL[key]))
+    .map((key) => [key, goal[key]]));
+  return Object.keys(changes).length ? changes : null;
+}
+
+// A goal from the link, keeping only fields shaped like the default's
+function readGoal(value) {
+  let saved;
+  try {
+    saved = JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+  if (!saved || typeof saved !== "object") return null;
+  const fields = {
+    title: (v) => typeof v === "string",
+    targetType: (v) => v === "multiple" || v === "amount",
+    targetMultiple: (v) => v > 0,
+    targetAmount: (v) => v === null || v > 0,
+    deadline: (v) => v === null || DATE.test(v),
+    startDate: (v) => v === null || DATE.test(v),
+    startBalance: (v) => v === null || v > 0,
+    milestones: (v) => Array.isArray(v) && v.every((m) => m > 0),
+  };
+  const goal = Object.fromEntries(Object.entries(fields)
+    .filter(([key, valid]) => key in saved && valid(saved[key]))
+    .map(([key]) => [key, saved[key]]));
+  return Object.keys(goal).length ? { ...DEFAULT_GOAL, ...goal } : null;
+}
+
+export function readUrlState(search) {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_URL_STATE };
+
+  const view = params.get("view");
+  if (view && (VIEWS.includes(view) || MONTH_VIEW.test(view))) state.view = view;
+
+  const range = params.get("range");
+  const custom = range && CUSTOM_RANGE.exec(range);
+  if (custom) state.range = { preset: "custom", from: custom[1], to: custom[2] };
+  else if (RANGE_PRESETS.includes(range)) state.range = { preset: range, from: null, to: null };
+
+  if (params.get("account")) state.account = params.get("account");
+
+  const year = Number(params.get("year"));
+  if (Number.isInteger(year) && year > 1900) state.year = year;
+
+  if (params.get("overlay") === "years") state.overlayMode = "years";
+  const month = params.get("month");
+  if (month !== null && /^\d+$/.test(month) && Number(month) < 12) state.overlayMonth = Number(month);
+
+  state.showBand = params.get("band") === "1";
+  state.publicMode = params.get("public") === "1";
+
+  if (CURRENCIES.includes(params.get("currency"))) state.currency = params.get("currency");
+  state.goal = readGoal(params.get("goal"));
+  return state;
+}
+
+// The query string for `state`, leaving out anything at its default
+export function writeUrlState(state) {
+  const params = new URLSearchParams();
+  if (state.view !== DEFAULT_URL_STATE.view) params.set("view", state.view);
+  if (state.range?.preset === "custom") params.set("range", `${state.range.from}..${state.range.to}`);
+  else if (state.range && state.range.preset !== "All") params.set("range", state.range.preset);
+  if (state.account && state.account !== ALL_ACCOUNTS) params.set("account", state.account);
+  if (state.year !== null && state.year !== undefined) params.set("year", String(state.year));
+  if (state.overlayMode === "years") params.set("overlay", "years");
+  if (state.overlayMonth !== null && state.overlayMonth !== undefined) params.set("month", String(state.overlayMonth));
+  if (state.showBand) params.set("band", "1");
+  if (state.publicMode) params.set("public", "1");
+  if (state.currency && state.currency !== DEFAULT_CURRENCY) params.set("currency", state.currency);
+  const goal = state.goal && goalChanges(state.goal);
+  if (goal) params.set("goal", JSON.stringify(goal));
+  return params.toString();
+}
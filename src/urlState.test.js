@@ -0,0 +1,71 @@
+import { readUrlState, writeUrlState, DEFAULT_URL_STATE } from "./urlState";
+import { DEFAULT_GOAL } from "./goal";
+
+describe("readUrlState", () => {
+  test("an empty query is the default state", () => {
+    expect(readUrlState("")).toEqual(DEFAULT_URL_STATE);
+  });
+
+  test("reads every field", () => {
+    expect(readUrlState("?view=2026-01&range=3M&account=Broker&year=2025&overlay=years&month=0&band=1&public=1")).toEqual({
+      view: "2026-01",
+      range: { preset: "3M", from: null, to: null },
+      account: "Broker",
+      year: 2025,
+      overlayMode: "years",
+      overlayMonth: 0,
+      showBand: true,
+      publicMode: true,
+      currency: null,
+      goal: null,
+    });
+  });
+
+  test("reads the display currency and the goal", () => {
+    const goal = encodeURIComponent(JSON.stringify({ targetMultiple: 10, startDate: "2025-01-01" }));
+    const state = readUrlState(`?currency=EUR&goal=${goal}`);
+    expect(state.currency).toBe("EUR");
+    expect(state.goal).toEqual({ ...DEFAULT_GOAL, targetMultiple: 10, startDate: "2025-01-01" });
+  });
+
+  test("keeps only the goal fields it can read", () => {
+    const goal = encodeURIComponent(JSON.stringify({ targetMultiple: -1, deadline: "soon", milestones: [3], color: "red" }));
+    expect(readUrlState(`?goal=${goal}`).goal).toEqual({ ...DEFAULT_GOAL, milestones: [3] });
+    expect(readUrlState("?goal={oops").goal).toBeNull();
+    expect(readUrlState("?goal=%7B%7D").goal).toBeNull();
+  });
+
+  test("reads a custom range", () => {
+    expect(readUrlState("?range=2026-01-05..2026-02-01").range).toEqual({ preset: "custom", from: "2026-01-05", to: "2026-02-01" });
+  });
+
+  test("ignores values it can't read", () => {
+    expect(readUrlState("?view=candles&range=2W&year=abc&month=12&band=yes&public=true&currency=XYZ")).toEqual(DEFAULT_URL_STATE);
+    expect(readUrlState("?view=2026-13").view).toBe("overall");
+  });
+});
+
+describe("writeUrlState", () => {
+  test("leaves out defaults", () => {
+    expect(writeUrlState(DEFAULT_URL_STATE)).toBe("");
+  });
+
+  test("leaves out the default currency and an unchanged goal", () => {
+    expect(writeUrlState({ ...DEFAULT_URL_STATE, currency: "USD", goal: DEFAULT_GOAL })).toBe("");
+    expect(writeUrlState({ ...DEFAULT_URL_STATE, goal: { ...DEFAULT_GOAL, deadline: "2027-01-01" } }))
+      .toBe("goal=" + encodeURIComponent('{"deadline":"2027-01-01"}'));
+  });
+
+  test("round-trips through readUrlState", () => {
+    const state = {
+      ...DEFAULT_URL_STATE,
+      view: "drawdown",
+      range: { preset: "custom", from: "2025-12-01", to: "2026-01-31" },
+      account: "Roth IRA",
+      publicMode: true,
+      currency: "GBP",
+      goal: { ...DEFAULT_GOAL, title: "To the moon", targetType: "amount", targetAmount: 250000, milestones: [2, 4] },
+    };
+    expect(readUrlState(writeUrlState(state))).toEqual(state);
+  });
+});
@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { loadAccounts, readCache, writeCache } from "./dataSources";
+
+export const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+function initialState(configKey) {
+  const cached = readCache(configKey);
+  return {
+    configKey,
+    series: cached ? cached.series : null,
+    lastUpdated: cached ? cached.savedAt : null,
+    fromCache: !!cached,
+    error: null,
+    refreshing: false,
+  };
+}
+
+// loading: nothing to show yet     error: nothing to show, load failed
+// empty:   loaded, but no entries  stale: showing cached data, or the last
+// ready:   showing fresh data             refresh failed
+function statusOf({ series, error, fromCache }) {
+  if (!series) return error ? "error" : "loading";
+  if (!series.some((a) => a.entries.length)) return error ? "error" : "empty";
+  return error || fromCache ? "stale" : "ready";
+}
+
+// Loads the accounts' series, starting from the cached copy of the last good
+// load and refreshing in the background every `intervalMs` and on demand.
+export default function useAccountData(accounts, { intervalMs = REFRESH_INTERVAL_MS, fetchImpl } = {}) {
+  const configKey = JSON.stringify(accounts);
+  const [state, setState] = useState(() => initialState(configKey));
+  const requestId = useRef(0); // only the latest request may update state
+
+  const refresh = useCallback(async () => {
+    const id = ++requestId.current;
+    setState((s) => ({ ...s, refreshing: true }));
+    try {
+      const series = await loadAccounts(JSON.parse(configKey), fetchImpl);
+      if (id !== requestId.current) return;
+      const savedAt = Date.now();
+      writeCache(configKey, series, savedAt);
+      setState({ configKey, series, lastUpdated: savedAt, fromCache: false, error: null, refreshing: false });
+    } catch (error) {
+      if (id !== requestId.current) return;
+      setState((s) => ({ ...s, error, refreshing: false }));
+    }
+  }, [configKey, fetchImpl]);
+
+  // A new configuration starts from its own cache, then loads
+  useEffect(() => {
+    setState((s) => (s.configKey === configKey ? s : initialState(configKey)));
+    refresh();
+  }, [configKey, refresh]);
+
+  useEffect(() => {
+    if (!intervalMs) return;
+    const timer = setInterval(refresh, intervalMs);
+    return () => clearInterval(timer);
+  }, [refresh, intervalMs]);
+
+  return {
+    series: state.series ?? [],
+    status: statusOf(state),
+    error: state.error,
+    lastUpdated: state.lastUpdated,
+    refreshing: state.refreshing,
+    refresh,
+  };
+}
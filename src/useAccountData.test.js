@@ -0,0 +1,140 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import useAccountData from "./useAccountData";
+import { writeCache } from "./dataSources";
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const ACCOUNTS = [{ name: "Main", source: { type: "csv", url: "http://localhost/balances.csv" } }];
+const CSV = "Date,Balance\n2026-01-01,1000\n2026-01-02,1100\n";
+const SERIES = [{
+  name: "Main",
+  entries: [{ date: "2026-01-01", balance: 500, flow: 0 }],
+  report: null,
+}];
+
+const respond = (body) => async () => ({ ok: true, status: 200, text: async () => body });
+const fail = async () => { throw new Error("Network down"); };
+
+// Renders the hook and keeps its latest result in `result.current`
+async function renderHook(fetchImpl, { accounts = ACCOUNTS, ...options } = {}) {
+  const result = {};
+  function Probe() {
+    result.current = useAccountData(accounts, { fetchImpl, ...options });
+    return null;
+  }
+  const root = createRoot(document.createElement("div"));
+  await act(async () => root.render(<Probe />));
+  result.unmount = () => act(() => root.unmount());
+  return result;
+}
+
+// Holds a request open until `resolve` is called
+function pendingFetch() {
+  const pending = {};
+  pending.fetch = jest.fn(() => new Promise((resolve) => { pending.resolve = resolve; }));
+  return pending;
+}
+
+beforeEach(() => localStorage.clear());
+
+describe("useAccountData", () => {
+  test("is loading until the first response, then ready and cached", async () => {
+    const pending = pendingFetch();
+    const result = await renderHook(pending.fetch);
+    expect(result.current.status).toBe("loading");
+    expect(result.current.series).toEqual([]);
+
+    await act(async () => pending.resolve({ ok: true, status: 200, text: async () => CSV }));
+    expect(result.current.status).toBe("ready");
+    expect(result.current.series[0].entries).toHaveLength(2);
+    expect(result.current.lastUpdated).not.toBeNull();
+    expect(JSON.parse(localStorage.getItem("portfolioTracker.cache")).series[0].entries).toHaveLength(2);
+    result.unmount();
+  });
+
+  test("shows the cached data straight away, marked stale until refreshed", async () => {
+    writeCache(JSON.stringify(ACCOUNTS), SERIES, 1000);
+    const pending = pendingFetch();
+    const result = await renderHook(pending.fetch);
+    expect(result.current.status).toBe("stale");
+    expect(result.current.refreshing).toBe(true);
+    expect(result.current.series).toEqual(SERIES);
+    expect(result.current.lastUpdated).toBe(1000);
+
+    await act(async () => pending.resolve({ ok: true, status: 200, text: async () => CSV }));
+    expect(result.current.status).toBe("ready");
+    expect(result.current.series[0].entries[0].balance).toBe(1000);
+    result.unmount();
+  });
+
+  test("ignores a cache saved for other accounts", async () => {
+    writeCache(JSON.stringify([{ name: "Other", source: { type: "csv", url: "x" } }]), SERIES, 1000);
+    const result = await renderHook(fail);
+    expect(result.current.status).toBe("error");
+    expect(result.current.series).toEqual([]);
+    result.unmount();
+  });
+
+  test("reports an error when the load fails with nothing cached", async () => {
+    const result = await renderHook(fail);
+    expect(result.current.status).toBe("error");
+    expect(result.current.error.message).toBe("Main: Network down");
+    result.unmount();
+  });
+
+  test("reports a response that can't be parsed", async () => {
+    const accounts = [{ name: "Main", source: { type: "json", url: "http://localhost/balances.json" } }];
+    const result = await renderHook(respond("<html>Sign in</html>"), { accounts });
+    expect(result.current.status).toBe("error");
+    expect(result.current.error.message).toMatch(/^Main: The response isn't valid JSON/);
+    result.unmount();
+  });
+
+  test("keeps showing cached data when the refresh fails", async () => {
+    writeCache(JSON.stringify(ACCOUNTS), SERIES, 1000);
+    const result = await renderHook(fail);
+    expect(result.current.status).toBe("stale");
+    expect(result.current.error.message).toBe("Main: Network down");
+    expect(result.current.series).toEqual(SERIES);
+    result.unmount();
+  });
+
+  test("is empty when the source has no entries", async () => {
+    const result = await renderHook(respond("Date,Balance\n"));
+    expect(result.current.status).toBe("empty");
+    result.unmount();
+  });
+
+  test("reloads on demand and clears a previous error", async () => {
+    let body = null;
+    const fetchImpl = jest.fn(async () => {
+      if (!body) return { ok: false, status: 503 };
+      return { ok: true, status: 200, text: async () => body };
+    });
+    const result = await renderHook(fetchImpl);
+    expect(result.current.error.message).toBe("Main: Request failed with status 503");
+
+    body = CSV;
+    await act(() => result.current.refresh());
+    expect(result.current.status).toBe("ready");
+    expect(result.current.error).toBeNull();
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    result.unmount();
+  });
+
+  test("refreshes in the background on an interval", async () => {
+    jest.useFakeTimers();
+    try {
+      const fetchImpl = jest.fn(respond(CSV));
+      const result = await renderHook(fetchImpl, { intervalMs: 1000 });
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+      await act(async () => jest.advanceTimersByTime(2500));
+      expect(fetchImpl).toHaveBeenCalledTimes(3);
+      result.unmount();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});